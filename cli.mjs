@@ -17,6 +17,12 @@ import {
 import { getRecentClineConversations } from './src/cline/extractor.js';
 import { parseClineConversation } from './src/cline/conversation-parser.js';
 import { conversationToMarkdown } from './src/cline/markdown-generator.js';
+import { loadCursorConversation } from './src/exporter.js';
+import { describeError } from './src/errors.js';
+import { isCommand, runCommand, parseArgs, locationsFromOptions } from './src/cli-commands.js';
+import { filtersFromOptions, hasFilters, applyFilters } from './src/filters.js';
+import { resolveInstallations } from './src/installations.js';
+import { extractConversationAssets, writeAssets } from './src/assets.js';
 
 const BANNER = `
 ╔══════════════════════════════════════════╗
@@ -46,21 +52,32 @@ async function main() {
         // Step 1: Get recent conversations
         const spinner = ora('Loading recent conversations...').start();
         
+        const cliOptions = parseArgs(process.argv.slice(2));
+        const { dbPath, clineDir, ide, userDataDirs } = locationsFromOptions(cliOptions);
+        
         let conversations = [];
         try {
+            // Fail early on an unknown --ide rather than after each source swallowed the error
+            if (ide) resolveInstallations(ide);
+            
+            // Apply --since/--until/--grep/--model/--workspace before limiting to the 10 most recent
+            const filters = filtersFromOptions(cliOptions);
+            const fetchLimit = hasFilters(filters) ? Infinity : 10;
+            
             if (source === 'cursor' || source === 'both') {
                 try {
-                    const cursorConvs = await getRecentConversations(10);
+                    const cursorConvs = applyFilters(await getRecentConversations(fetchLimit, null, null, dbPath, ide, userDataDirs), filters).slice(0, 10);
                     conversations = conversations.concat(cursorConvs.map(conv => ({...conv, source: 'cursor'})));
                 } catch (error) {
                     if (source === 'cursor') throw error;
-                    console.warn(chalk.yellow('Warning: Could not load Cursor conversations'));
+                    console.warn(chalk.yellow(`Warning: Could not load Cursor conversations: ${error.message}`));
+                    if (error.hint) console.warn(chalk.gray(`Hint: ${error.hint}`));
                 }
             }
             
             if (source === 'cline' || source === 'both') {
                 try {
-                    const clineConvs = getRecentClineConversations(10);
+                    const clineConvs = applyFilters(getRecentClineConversations(fetchLimit, null, null, clineDir, ide, userDataDirs), filters).slice(0, 10);
                     conversations = conversations.concat(clineConvs.map(conv => ({...conv, source: 'cline'})));
                 } catch (error) {
                     if (source === 'cline') throw error;
@@ -74,9 +91,13 @@ async function main() {
             spinner.succeed(`Found ${conversations.length} recent conversations`);
         } catch (error) {
             spinner.fail('Failed to load conversations');
-            console.error(chalk.red('Error:'), error.message);
-            console.log(chalk.yellow('Make sure your chosen IDE is installed and you have used it recently.'));
-            process.exit(1);
+            const [message, ...details] = describeError(error);
+            console.error(chalk.red('Error:'), message);
+            details.forEach(line => console.error(chalk.gray(line)));
+            if (!error.hint) {
+                console.log(chalk.yellow('Make sure your chosen IDE is installed and you have used it recently.'));
+            }
+            process.exit(error.exitCode || 1);
         }
         
         if (conversations.length === 0) {
@@ -177,14 +198,16 @@ async function main() {
             // Create output directory
             await fs.mkdir(outputDir, { recursive: true });
             
-            let content, filename, filepath;
+            let content, filename, filepath, assets, assetDir;
             
             // Handle different conversation sources
             if (selectedConversation.source === 'cline') {
                 // Load and parse Cline conversation
                 const { extractClineTask } = await import('./src/cline/extractor.js');
                 const taskData = extractClineTask(selectedConversation.id, selectedConversation.baseDir);
-                const parsedConversation = parseClineConversation(taskData);
+                const { conversation: parsedConversation, assets: clineAssets, assetDir: clineAssetDir } = extractConversationAssets('cline', parseClineConversation(taskData));
+                assets = clineAssets;
+                assetDir = clineAssetDir;
                 
                 if (outputFormat === 'json') {
                     content = JSON.stringify(parsedConversation, null, 2);
@@ -196,20 +219,26 @@ async function main() {
                     filepath = path.join(outputDir, filename);
                 }
             } else {
-                // Handle Cursor conversations (original logic)
+                // Handle Cursor conversations - the listing only read metadata, load the full conversation now
+                const { conversation, assets: cursorAssets, assetDir: cursorAssetDir } = extractConversationAssets('cursor', selectedConversation.conversation ||
+                    await loadCursorConversation(selectedConversation.id, selectedConversation.dbPath || dbPath));
+                assets = cursorAssets;
+                assetDir = cursorAssetDir;
+                
                 if (outputFormat === 'json') {
-                    content = JSON.stringify(selectedConversation.conversation, null, 2);
-                    filename = generateConversationFilename(selectedConversation.conversation).replace('.md', '.json');
+                    content = JSON.stringify(conversation, null, 2);
+                    filename = generateConversationFilename(conversation).replace('.md', '.json');
                     filepath = path.join(outputDir, filename);
                 } else {
-                    content = generateMarkdownConversation(selectedConversation.conversation);
-                    filename = generateConversationFilename(selectedConversation.conversation);
+                    content = generateMarkdownConversation(conversation);
+                    filename = generateConversationFilename(conversation);
                     filepath = path.join(outputDir, filename);
                 }
             }
             
             // Write file
             await fs.writeFile(filepath, content);
+            await writeAssets(outputDir, assets, assetDir);
             
             exportSpinner.succeed(`${outputFormat.toUpperCase()} exported successfully!`);
             
@@ -225,8 +254,10 @@ async function main() {
             
         } catch (error) {
             exportSpinner.fail(`Failed to export ${outputFormat}`);
-            console.error(chalk.red('Error:'), error.message);
-            process.exit(1);
+            const [message, ...details] = describeError(error);
+            console.error(chalk.red('Error:'), message);
+            details.forEach(line => console.error(chalk.gray(line)));
+            process.exit(error.exitCode || 1);
         }
         
     } catch (error) {
@@ -248,8 +279,8 @@ async function getFileSize(filepath) {
 // Check for JSON flag
 const jsonMode = process.argv.includes('--json');
 
-// Show help if requested
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
+// Show help if requested; subcommands print their own usage for --help
+if (!isCommand(process.argv[2]) && (process.argv.includes('--help') || process.argv.includes('-h'))) {
     console.log(`
 ${chalk.cyan('Trace Extractor')} - Export Cursor/Cline conversations to Markdown
 
@@ -257,6 +288,60 @@ ${chalk.bold('Usage:')}
   npx trace-extractor          Start interactive mode
   npx trace-extractor --json   Export as JSON instead of Markdown
   trace-extractor --help       Show this help
+  trace-extractor <command> --help
+                               Show the usage and options of a command
+
+${chalk.bold('Commands:')}
+  export --source cursor|cline --id <id> [--format md|json] [--out <dir>]
+                               Export one conversation without prompts
+  export --all [--source cursor|cline|both] [--format md|json] [--out <dir>]
+                               Export every conversation plus index.md/index.json
+  list [--source cursor|cline|both] [--limit N|--all] [--json]
+                               List conversation IDs, titles and activity
+  watch --out <dir> [--source cursor|cline|both] [--format md|json] [--debounce ms]
+                               Re-export conversations as they change, until Ctrl+C
+  sync --out <dir> [--source cursor|cline|both] [--format md|json]
+                               Re-render only changed conversations (tracked in manifest.json)
+  dump --id <composerId> [--out <file>] [--redact]
+                               Write the raw database rows behind a Cursor conversation as JSON,
+                               for bug reports; read a dump back with --db <file>
+  archive [--source cursor|cline|both]
+                               Snapshot every conversation into Trace Extractor's own archive,
+                               keeping a revision per change; it outlives the editor's history
+
+${chalk.bold('Filters')} (interactive mode, list and export --all):
+  --since <date>   Only conversations active since a date (YYYY-MM-DD, ISO, or 7d/12h/2w)
+  --until <date>   Only conversations active until a date
+  --grep <text>    Title or preview contains text
+  --model <name>   Model name contains text
+  --workspace <path>
+                   Conversations from this project folder (or folders inside it)
+
+${chalk.bold('Data locations')} (all modes):
+  --db <file>          Read a specific state.vscdb or dump file (env: TRACE_EXTRACTOR_DB)
+  --cline-dir <dir>    Read Cline tasks from a directory containing tasks/, or a tasks/
+                       directory itself (env: TRACE_EXTRACTOR_CLINE_DIR)
+  --ide <name|all>     Read a specific installation instead of the detected one, or merge
+                       every installation found (env: TRACE_EXTRACTOR_IDE). Names: cursor,
+                       cursor-nightly, vscode, vscode-insiders, vscodium, windsurf
+  --user-data-dir <dir>
+                       Read an editor started with --user-data-dir instead of detecting
+                       installations; separate several with '${path.delimiter}'
+                       (env: TRACE_EXTRACTOR_USER_DATA_DIR)
+
+${chalk.bold('Recovery')} (list, export and archive):
+  --recover            Rebuild Cursor conversations whose metadata row is missing or corrupt
+                       from their leftover messages (listed as "Recovered conversation ...")
+
+${chalk.bold('Archive')} (archive, list and export):
+  --from-archive       List or export the archived conversations instead of the editors' ones
+  --revision <N>       With export --id --from-archive: export an older revision
+  --archive-db <file>  Archive location (env: TRACE_EXTRACTOR_ARCHIVE; default:
+                       trace-extractor/archive.db in the application data directory)
+
+${chalk.bold('Exit codes:')}
+  0 success • 1 error • 2 not found • 3 database unreadable • 4 render failed
+  5 database not found • 6 database locked • 7 unexpected database layout
 
 ${chalk.bold('Features:')}
   • Support for both Cursor and Cline (xai.grok-dev) conversations
@@ -272,9 +357,23 @@ ${chalk.bold('Requirements:')}
 ${chalk.bold('Examples:')}
   npx trace-extractor                    # Interactive mode
   npx trace-extractor --help             # Show help
+  npx trace-extractor list --all --json
+  npx trace-extractor list --since 7d --model sonnet --grep login
+  npx trace-extractor export --all --workspace . --out ./docs/ai-history
+  npx trace-extractor list --db ./backup/state.vscdb --cline-dir ./backup/tasks
+  npx trace-extractor export --all --ide all --out ./all-conversations
+  npx trace-extractor list --user-data-dir ~/cursor-work
+  npx trace-extractor dump --id <composerId> --redact --out ./bug-report.json
+  npx trace-extractor archive && npx trace-extractor list --from-archive --all
+  npx trace-extractor export --source cline --id 1712345678901 --format json --out ./traces
 `);
     process.exit(0);
 }
 
-// Run the CLI
-main().catch(console.error);
\ No newline at end of file
+if (isCommand(process.argv[2])) {
+    // Non-interactive subcommands skip every prompt
+    runCommand(process.argv.slice(2)).then((exitCode) => process.exit(exitCode));
+} else {
+    // Run the CLI
+    main().catch(console.error);
+}
\ No newline at end of file
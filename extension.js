@@ -1,5 +1,5 @@
 const vscode = require('vscode');
-const { showConversationSelector, showConversationSelectorJSON } = require('./src/vscode-commands.js');
+const { showConversationSelector, showConversationSelectorJSON, showExportAll } = require('./src/vscode-commands.js');
 
 /**
  * VSCode Extension Entry Point for Trace Extractor
@@ -31,10 +31,15 @@ function activate(context) {
         await showConversationSelectorJSON(context, outputChannel);
     });
     
-    context.subscriptions.push(disposable, disposableJSON);
+    const disposableExportAll = vscode.commands.registerCommand('trace-extractor.exportAll', async () => {
+        outputChannel.appendLine('trace-extractor.exportAll command executed');
+        await showExportAll(context, outputChannel);
+    });
+    
+    context.subscriptions.push(disposable, disposableJSON, disposableExportAll);
     
     // Debug: Confirm command registration
-    outputChannel.appendLine('trace-extractor.selectChat and trace-extractor.selectChatJSON commands registered');
+    outputChannel.appendLine('trace-extractor.selectChat, trace-extractor.selectChatJSON and trace-extractor.exportAll commands registered');
     
     // Show welcome message on first activation
     const hasShownWelcome = context.globalState.get('hasShownWelcome', false);
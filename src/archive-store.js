@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { openSqlite, closeSqlite, allRows, runStatement } = require('./extractor');
+const { getAppDataDir } = require('./installations');
+const { EXIT_CODES, ExportError } = require('./errors');
+
+/**
+ * Trace Extractor's own archive of conversation snapshots
+ * A SQLite database, independent of any editor, holding every archived conversation keyed by
+ * source and ID. Each change seen at the source adds a revision with the full reconstructed
+ * conversation, so conversations the editor has since pruned can still be listed and exported.
+ */
+
+const ARCHIVE_SCHEMA_VERSION = 1;
+
+const ARCHIVE_SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS conversations (
+        source TEXT NOT NULL,
+        id TEXT NOT NULL,
+        title TEXT,
+        preview TEXT,
+        model TEXT,
+        workspace TEXT,
+        ide TEXT,
+        profile TEXT,
+        last_activity INTEGER,
+        message_count INTEGER,
+        latest_revision INTEGER NOT NULL,
+        first_archived_at TEXT NOT NULL,
+        last_archived_at TEXT NOT NULL,
+        removed_at TEXT,
+        PRIMARY KEY (source, id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS revisions (
+        source TEXT NOT NULL,
+        id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        hash TEXT NOT NULL,
+        archived_at TEXT NOT NULL,
+        message_count INTEGER,
+        conversation TEXT NOT NULL,
+        PRIMARY KEY (source, id, revision)
+    )`
+];
+
+/**
+ * Get the archive location
+ * @param {string|null} archivePath - Optional explicit path
+ * @returns {string} The explicit path, TRACE_EXTRACTOR_ARCHIVE, or trace-extractor/archive.db
+ *          in the platform's application data directory
+ */
+function getArchivePath(archivePath = null) {
+    const explicitPath = archivePath || process.env.TRACE_EXTRACTOR_ARCHIVE;
+    return explicitPath
+        ? path.resolve(explicitPath)
+        : path.join(getAppDataDir(), 'trace-extractor', 'archive.db');
+}
+
+/**
+ * Map a conversations row to a summary shaped like the ones listConversations returns
+ * @param {Object} row - conversations row
+ * @returns {Object} Summary
+ */
+function toSummary(row) {
+    return {
+        source: row.source,
+        id: row.id,
+        title: row.title || 'Untitled Conversation',
+        preview: row.preview || '',
+        model: row.model,
+        workspace: row.workspace,
+        ide: row.ide,
+        profile: row.profile,
+        messageCount: row.message_count,
+        lastActivity: new Date(row.last_activity || 0),
+        revision: row.latest_revision,
+        archivedAt: row.last_archived_at,
+        removedAt: row.removed_at
+    };
+}
+
+/**
+ * Open the archive
+ * @param {string|null} archivePath - Optional explicit path (see getArchivePath)
+ * @param {boolean} create - Create the archive if it does not exist yet; otherwise it is opened read-only
+ * @returns {Promise<Object>} Archive with listConversations, getConversation, listRevisions,
+ *          saveSnapshot, markRemoved, transaction and close
+ * @throws {ExportError} When the archive does not exist (and create is false) or cannot be opened
+ */
+async function openArchive(archivePath = null, create = false) {
+    const resolvedPath = getArchivePath(archivePath);
+
+    if (!create && !fs.existsSync(resolvedPath)) {
+        throw new ExportError(`Archive not found: ${resolvedPath}`, EXIT_CODES.DB_NOT_FOUND,
+            'Run `trace-extractor archive` first, or point at an archive with --archive-db <file> or TRACE_EXTRACTOR_ARCHIVE.');
+    }
+
+    let db;
+    try {
+        if (create) {
+            await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
+            db = await openSqlite(resolvedPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
+            for (const statement of ARCHIVE_SCHEMA) {
+                await runStatement(db, statement);
+            }
+            await runStatement(db, `PRAGMA user_version = ${ARCHIVE_SCHEMA_VERSION}`);
+        } else {
+            db = await openSqlite(resolvedPath, sqlite3.OPEN_READONLY);
+        }
+
+        const [{ user_version: version }] = await allRows(db, 'PRAGMA user_version');
+        if (version > ARCHIVE_SCHEMA_VERSION) {
+            throw new Error(`archive version ${version} is newer than this Trace Extractor supports`);
+        }
+    } catch (error) {
+        if (db) await closeSqlite(db);
+        throw new ExportError(`Could not open the archive ${resolvedPath}: ${error.message}`, EXIT_CODES.DB_UNREADABLE);
+    }
+
+    /**
+     * List the archived conversations, most recent activity first
+     * @param {string} source - 'cursor', 'cline' or 'both'
+     * @returns {Promise<Array<Object>>} Summaries (with `revision`, `archivedAt` and `removedAt`)
+     */
+    const listConversations = async (source = 'both') => {
+        const rows = source === 'both'
+            ? await allRows(db, `SELECT * FROM conversations ORDER BY last_activity DESC`)
+            : await allRows(db, `SELECT * FROM conversations WHERE source = ? ORDER BY last_activity DESC`, [source]);
+        return rows.map(toSummary);
+    };
+
+    /**
+     * Read one archived conversation
+     * @param {string} source - 'cursor' or 'cline'
+     * @param {string} id - Composer ID or task ID
+     * @param {number|null} revision - Revision number, the latest when omitted
+     * @returns {Promise<Object|null>} {summary, revision, archivedAt, conversation}, or null if not archived
+     */
+    const getConversation = async (source, id, revision = null) => {
+        const [row] = await allRows(db, `SELECT * FROM conversations WHERE source = ? AND id = ?`, [source, id]);
+        if (!row) return null;
+
+        const [snapshot] = await allRows(db,
+            `SELECT revision, archived_at, conversation FROM revisions WHERE source = ? AND id = ? AND revision = ?`,
+            [source, id, revision || row.latest_revision]);
+        if (!snapshot) return null;
+
+        return {
+            summary: toSummary(row),
+            revision: snapshot.revision,
+            archivedAt: snapshot.archived_at,
+            conversation: JSON.parse(snapshot.conversation)
+        };
+    };
+
+    /**
+     * List the revisions of one archived conversation
+     * @param {string} source - 'cursor' or 'cline'
+     * @param {string} id - Composer ID or task ID
+     * @returns {Promise<Array<{revision: number, archivedAt: string, messageCount: number}>>} Oldest first
+     */
+    const listRevisions = async (source, id) => {
+        const rows = await allRows(db,
+            `SELECT revision, archived_at, message_count FROM revisions WHERE source = ? AND id = ? ORDER BY revision`,
+            [source, id]);
+        return rows.map(row => ({ revision: row.revision, archivedAt: row.archived_at, messageCount: row.message_count }));
+    };
+
+    /**
+     * Store a snapshot of a conversation, adding a revision only when its source hash changed
+     * @param {string} source - 'cursor' or 'cline'
+     * @param {string} id - Composer ID or task ID
+     * @param {string} hash - Hash of the conversation's source data
+     * @param {Object} conversation - Reconstructed conversation, as exported to JSON
+     * @param {Object} metadata - {title, preview, model, workspace, ide, profile, lastActivity: Date}
+     * @returns {Promise<string>} 'added', 'revised' or 'unchanged'
+     */
+    const saveSnapshot = async (source, id, hash, conversation, metadata) => {
+        const now = new Date().toISOString();
+        const [row] = await allRows(db, `SELECT latest_revision FROM conversations WHERE source = ? AND id = ?`, [source, id]);
+        const [latest] = row
+            ? await allRows(db, `SELECT hash FROM revisions WHERE source = ? AND id = ? AND revision = ?`,
+                [source, id, row.latest_revision])
+            : [];
+
+        if (latest && latest.hash === hash) {
+            await runStatement(db, `UPDATE conversations SET removed_at = NULL WHERE source = ? AND id = ?`, [source, id]);
+            return 'unchanged';
+        }
+
+        const revision = row ? row.latest_revision + 1 : 1;
+        const messageCount = conversation.messages.length;
+        const lastActivity = metadata.lastActivity && !isNaN(metadata.lastActivity) ? metadata.lastActivity.getTime() : null;
+
+        await runStatement(db,
+            `INSERT INTO revisions (source, id, revision, hash, archived_at, message_count, conversation)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [source, id, revision, hash, now, messageCount, JSON.stringify(conversation)]);
+        await runStatement(db,
+            `INSERT INTO conversations (source, id, title, preview, model, workspace, ide, profile, last_activity,
+                                        message_count, latest_revision, first_archived_at, last_archived_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (source, id) DO UPDATE SET
+                title = excluded.title, preview = excluded.preview, model = excluded.model,
+                workspace = excluded.workspace, ide = excluded.ide, profile = excluded.profile,
+                last_activity = excluded.last_activity, message_count = excluded.message_count,
+                latest_revision = excluded.latest_revision, last_archived_at = excluded.last_archived_at,
+                removed_at = NULL`,
+            [source, id, metadata.title || null, metadata.preview || null, metadata.model || null,
+                metadata.workspace || null, metadata.ide || null, metadata.profile || null, lastActivity,
+                messageCount, revision, now, now]);
+
+        return row ? 'revised' : 'added';
+    };
+
+    /**
+     * Flag archived conversations of a source that no longer exist there; their snapshots are kept
+     * @param {string} source - 'cursor' or 'cline'
+     * @param {Set<string>} seenIds - IDs found at the source
+     * @returns {Promise<Array<string>>} IDs newly flagged as removed
+     */
+    const markRemoved = async (source, seenIds) => {
+        const rows = await allRows(db, `SELECT id FROM conversations WHERE source = ? AND removed_at IS NULL`, [source]);
+        const removed = rows.map(row => row.id).filter(id => !seenIds.has(id));
+        const now = new Date().toISOString();
+
+        for (const id of removed) {
+            await runStatement(db, `UPDATE conversations SET removed_at = ? WHERE source = ? AND id = ?`, [now, source, id]);
+        }
+        return removed;
+    };
+
+    /**
+     * Run a function inside a transaction, rolling back if it throws
+     * @param {Function} fn - Async function
+     * @returns {Promise<*>} The function's result
+     */
+    const transaction = async (fn) => {
+        await runStatement(db, 'BEGIN');
+        try {
+            const result = await fn();
+            await runStatement(db, 'COMMIT');
+            return result;
+        } catch (error) {
+            await runStatement(db, 'ROLLBACK');
+            throw error;
+        }
+    };
+
+    return {
+        archivePath: resolvedPath,
+        listConversations,
+        getConversation,
+        listRevisions,
+        saveSnapshot,
+        markRemoved,
+        transaction,
+        close: () => closeSqlite(db)
+    };
+}
+
+module.exports = {
+    getArchivePath,
+    openArchive
+};
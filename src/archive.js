@@ -0,0 +1,157 @@
+const { openCursorStores } = require('./cursor-store');
+const { reconstructConversation, getConversationSummary } = require('./conversation-parser');
+const { hasDbOverride } = require('./extractor');
+const { getAllClineTasks, hasClineDirOverride } = require('./cline/extractor');
+const { getInstallationForPath, getProfileForPath } = require('./installations');
+const { getComposerWorkspaceMap } = require('./workspaces');
+const { openArchive } = require('./archive-store');
+const {
+    logCursorSkipped,
+    loadClineConversation,
+    hashCursorSource,
+    hashClineSource
+} = require('./exporter');
+
+/**
+ * Archive mode: snapshot every conversation into Trace Extractor's own database (see archive-store.js)
+ * so it outlives the editor's history
+ */
+
+/**
+ * Snapshot conversations from one or both sources into the archive
+ * Unchanged conversations are skipped; changed ones get a new revision. Conversations that
+ * disappeared from a source are flagged as removed, and keep every snapshot. That only happens when
+ * the source was read in full from its default locations: not when a database or task directory
+ * was skipped, nor for an explicit --db / --cline-dir, which may be a copy rather than the live data.
+ * @param {Object} options - Archive options
+ * @param {string|null} options.archivePath - Optional archive location (see getArchivePath)
+ * @param {string} options.source - 'cursor', 'cline' or 'both'
+ * @param {string|null} options.dbPath - Optional explicit path to state.vscdb
+ * @param {string|null} options.clineDir - Optional explicit Cline directory
+ * @param {string|null} options.ide - Optional installation ID or 'all' to archive every installation
+ * @param {Array<string>|null} options.userDataDirs - Optional explicit user-data directories
+ * @param {boolean} options.recover - Also archive Cursor conversations rebuilt from orphaned bubbles
+ * @param {Object|null} options.outputChannel - Optional output channel for logging
+ * @returns {Promise<Object>} Result with archivePath and added, revised, unchanged, removed and failures lists
+ */
+async function archiveConversations({
+    archivePath = null,
+    source = 'both',
+    dbPath = null,
+    clineDir = null,
+    ide = null,
+    userDataDirs = null,
+    recover = false,
+    outputChannel = null
+}) {
+    const log = (message) => outputChannel ? outputChannel.appendLine(message) : console.log(message);
+    const archive = await openArchive(archivePath, true);
+    const result = { archivePath: archive.archivePath, added: [], revised: [], unchanged: [], removed: [], failures: [] };
+
+    // Hashing and loading run inside the error handling: one unreadable conversation is a failure of its
+    // own instead of an error that rolls back the whole run
+    const archiveEntry = async (entrySource, id, getHash, loadSnapshot) => {
+        try {
+            const hash = await getHash();
+            const { conversation, metadata } = loadSnapshot();
+            if (!conversation || conversation.messages.length === 0) return;
+
+            const outcome = await archive.saveSnapshot(entrySource, id, hash, conversation, metadata);
+            result[outcome].push({ source: entrySource, id, title: metadata.title });
+        } catch (error) {
+            result.failures.push({ source: entrySource, id, error: error.message });
+            log(`WARNING: Could not archive ${entrySource} conversation ${id}: ${error.message}`);
+        }
+    };
+
+    try {
+        await archive.transaction(async () => {
+            if (source === 'cursor' || source === 'both') {
+                const seenIds = new Set();
+                let complete = !hasDbOverride(dbPath);
+                const onSkip = () => { complete = false; };
+
+                try {
+                    for await (const { store, installation, profile } of openCursorStores({ dbPath, ide, userDataDirs, recover, outputChannel, onSkip })) {
+                        const workspaceMap = await getComposerWorkspaceMap(store.dbPath, outputChannel);
+
+                        for await (const { composerId, composerData, extractedData } of store.conversations()) {
+                            seenIds.add(composerId);
+                            await archiveEntry('cursor', composerId, () => hashCursorSource(composerId, extractedData), () => {
+                                const conversation = reconstructConversation(
+                                    composerId,
+                                    extractedData.bubbles,
+                                    extractedData.checkpoints,
+                                    extractedData.codeDiffs,
+                                    composerData
+                                );
+                                const summary = getConversationSummary(conversation);
+                                return {
+                                    conversation,
+                                    metadata: {
+                                        title: summary.title,
+                                        preview: summary.preview,
+                                        model: summary.model,
+                                        workspace: workspaceMap.get(composerId) || null,
+                                        ide: installation ? installation.id : null,
+                                        profile,
+                                        lastActivity: summary.lastMessageTime
+                                    }
+                                };
+                            });
+                        }
+                    }
+                } catch (error) {
+                    // Never flag conversations as removed from a database we could not read
+                    complete = false;
+                    if (source === 'cursor') throw error;
+                    logCursorSkipped(error, outputChannel);
+                }
+
+                if (complete) {
+                    const removed = await archive.markRemoved('cursor', seenIds);
+                    result.removed.push(...removed.map(id => ({ source: 'cursor', id })));
+                }
+            }
+
+            if (source === 'cline' || source === 'both') {
+                const seenIds = new Set();
+                let complete = !hasClineDirOverride(clineDir);
+                const onSkip = () => { complete = false; };
+
+                for (const task of getAllClineTasks(null, outputChannel, clineDir, ide, userDataDirs, onSkip)) {
+                    seenIds.add(task.taskId);
+                    await archiveEntry('cline', task.taskId, () => hashClineSource(task.taskPath), () => {
+                        const conversation = loadClineConversation(task.taskId, task.baseDir, null, outputChannel);
+                        const installation = getInstallationForPath(task.baseDir);
+                        return {
+                            conversation,
+                            metadata: {
+                                title: conversation.title,
+                                preview: conversation.title,
+                                model: conversation.model,
+                                workspace: conversation.workspace,
+                                ide: installation ? installation.id : null,
+                                profile: getProfileForPath(task.baseDir),
+                                lastActivity: task.lastModified
+                            }
+                        };
+                    });
+                }
+
+                if (complete) {
+                    const removed = await archive.markRemoved('cline', seenIds);
+                    result.removed.push(...removed.map(id => ({ source: 'cline', id })));
+                }
+            }
+        });
+    } finally {
+        await archive.close();
+    }
+
+    return result;
+}
+
+module.exports = {
+    archiveConversations
+};
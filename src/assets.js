@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Image assets of exported conversations
+ * Screenshots attached to Cursor bubbles and Cline messages are stored as data URLs, raw
+ * base64 or paths to files on disk. Exports decode the data into `assets/<conversation id>/`
+ * next to the exported file and refer to it by relative path, so neither the Markdown nor the
+ * JSON carries base64; file paths are kept as references and never read.
+ */
+
+const ASSETS_DIRNAME = 'assets';
+
+// File extensions for image MIME types
+const MIME_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/bmp': 'bmp'
+};
+
+/**
+ * Decode one attached image
+ * Only data carried in the conversation itself is decoded. File paths are never read: a copied-off
+ * database or dump could name any file on this machine, which would then be copied into the export.
+ * @param {string|Object} image - Data URL, or an object with data/base64 (and mimeType) fields
+ * @returns {{data: Buffer, extension: string}|null} Image bytes, or null when the image holds
+ *          no data that can be decoded
+ */
+function decodeImage(image) {
+    const encoded = typeof image === 'string' ? image : (image && (image.data || image.base64));
+    if (typeof encoded !== 'string') return null;
+
+    const dataUrlMatch = encoded.match(/^data:([^;,]*)(?:;[^,;]*)*;base64,([\s\S]*)$/);
+    if (dataUrlMatch) {
+        return { data: Buffer.from(dataUrlMatch[2], 'base64'), extension: MIME_EXTENSIONS[dataUrlMatch[1].toLowerCase()] || 'png' };
+    }
+    if (typeof image === 'object' && /^[A-Za-z0-9+/=\s]+$/.test(encoded)) {
+        const mimeType = String(image.mimeType || image.mime_type || image.type || '').toLowerCase();
+        return { data: Buffer.from(encoded, 'base64'), extension: MIME_EXTENSIONS[mimeType] || 'png' };
+    }
+
+    return null;
+}
+
+/**
+ * Get the reference kept for an image that could not be decoded
+ * Besides plain path and URL strings, images may name their file in path, filePath, fsPath or url
+ * fields, or in a uri that is either a string or a VS Code URI object.
+ * @param {string|Object} image - Attached image
+ * @returns {string|null} Its path or URL, or null when there is nothing worth keeping
+ */
+function getImageReference(image) {
+    let reference = image;
+    if (image && typeof image === 'object') {
+        const uri = image.uri && typeof image.uri === 'object' ? image.uri.fsPath || image.uri.path : image.uri;
+        reference = image.path || image.filePath || image.fsPath || uri || image.url;
+    }
+    return typeof reference === 'string' && reference && !reference.startsWith('data:') ? reference : null;
+}
+
+/**
+ * Get the folder a conversation's assets are written to
+ * @param {string} source - 'cursor' or 'cline'
+ * @param {Object} conversation - Reconstructed Cursor or parsed Cline conversation
+ * @returns {string} Path relative to the export directory
+ */
+function getAssetDir(source, conversation) {
+    const conversationId = String(source === 'cline' ? conversation.id : conversation.composer_id).replace(/[^\w.-]/g, '_');
+    return `${ASSETS_DIRNAME}/${conversationId}`;
+}
+
+/**
+ * Take the attached images out of a conversation
+ * Images of its messages, of its unordered messages and of the bubbles kept inline in
+ * `composer_data` (older Cursor releases) are replaced with paths relative to the export
+ * directory (`assets/<conversation id>/image-<n>.<ext>`); an image stored in several places is
+ * written once. Images without data in the conversation keep their original path or URL; an
+ * image with neither readable data nor a reference becomes null, which the renderers show as an
+ * image that was not exported, so the export still shows it was there.
+ * @param {string} source - 'cursor' or 'cline'
+ * @param {Object} conversation - Reconstructed Cursor or parsed Cline conversation
+ * @returns {{conversation: Object, assets: Array<{path: string, data: Buffer}>, assetDir: string}}
+ *          Conversation to render (a copy when it had images), the files to write and the
+ *          conversation's asset folder
+ */
+function extractConversationAssets(source, conversation) {
+    const assetDir = getAssetDir(source, conversation);
+    const composerData = conversation.composer_data;
+    const inlineBubbles = composerData && Array.isArray(composerData.conversation) ? composerData.conversation : [];
+    const hasImages = (message) => message && Array.isArray(message.images) && message.images.length > 0;
+
+    if (![conversation.messages, conversation.unordered_messages, inlineBubbles].some(list => (list || []).some(hasImages))) {
+        return { conversation, assets: [], assetDir };
+    }
+
+    const assets = [];
+    const assetPaths = new Map();
+
+    const extractImages = (message) => {
+        if (!hasImages(message)) return message;
+
+        const images = message.images.map(image => {
+            const encoded = typeof image === 'string' ? image : (image && (image.data || image.base64));
+            if (typeof encoded === 'string' && assetPaths.has(encoded)) return assetPaths.get(encoded);
+
+            const decoded = decodeImage(image);
+            if (!decoded) return getImageReference(image);
+
+            const assetPath = `${assetDir}/image-${assets.length + 1}.${decoded.extension}`;
+            assets.push({ path: assetPath, data: decoded.data });
+            assetPaths.set(encoded, assetPath);
+            return assetPath;
+        });
+        return { ...message, images };
+    };
+
+    return {
+        conversation: {
+            ...conversation,
+            messages: (conversation.messages || []).map(extractImages),
+            ...(conversation.unordered_messages ? { unordered_messages: conversation.unordered_messages.map(extractImages) } : {}),
+            ...(inlineBubbles.length > 0 ? { composer_data: { ...composerData, conversation: inlineBubbles.map(extractImages) } } : {})
+        },
+        assets,
+        assetDir
+    };
+}
+
+/**
+ * Write extracted assets below an export directory
+ * Each conversation's asset folder is replaced, so images dropped since the last export disappear
+ * too, also when the conversation no longer has any.
+ * @param {string} outDir - Export directory
+ * @param {Array<{path: string, data: Buffer}>} assets - Assets from extractConversationAssets
+ * @param {string|null} assetDir - Asset folder from extractConversationAssets, cleared even when
+ *        there are no assets
+ */
+async function writeAssets(outDir, assets, assetDir = null) {
+    const assetDirs = new Set(assets.map(asset => path.dirname(asset.path)));
+
+    for (const dir of assetDir ? [assetDir, ...assetDirs] : assetDirs) {
+        await fs.promises.rm(path.join(outDir, dir), { recursive: true, force: true });
+    }
+    for (const dir of assetDirs) {
+        await fs.promises.mkdir(path.join(outDir, dir), { recursive: true });
+    }
+    for (const asset of assets) {
+        await fs.promises.writeFile(path.join(outDir, asset.path), asset.data);
+    }
+}
+
+module.exports = {
+    extractConversationAssets,
+    writeAssets
+};
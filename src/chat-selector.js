@@ -1,51 +1,141 @@
-const { extractCursorDiskKV } = require('./extractor');
-const { reconstructConversation, getConversationSummary } = require('./conversation-parser');
+const path = require('path');
+const { openCursorStores } = require('./cursor-store');
+const { reconstructConversation, getConversationSummary, getComposerSummary } = require('./conversation-parser');
+const { getComposerWorkspaceMap } = require('./workspaces');
+const { reconstructLegacyConversation } = require('./legacy-chat');
+const { describeUnknownVersions } = require('./cursor-schema');
 
 /**
- * Get recent conversations from Cursor data
+ * Summarize the most recent conversations of one Cursor database
+ * @param {Object} store - Open Cursor store (see cursor-store.js)
+ * @param {number} limit - Maximum number of conversations to return (Infinity for all)
+ * @param {Function} log - Logging function
+ * @returns {Promise<Array<Object>>} Summaries, most recent first
  */
-async function getRecentConversations(limit = 10, extensionContext = null) {
-    console.log('Extracting Cursor data...');
-    const extractedData = await extractCursorDiskKV(null, extensionContext);
+async function getStoreConversations(store, limit, log) {
+    const composers = await store.listComposers();
+    const legacyConversations = await store.listLegacyConversations();
     
-    if (!extractedData.composers || Object.keys(extractedData.composers).length === 0) {
-        console.log('No conversations found');
+    if (Object.keys(composers).length === 0 && legacyConversations.length === 0) {
+        log('No conversations found');
         return [];
     }
     
-    console.log(`Found ${Object.keys(extractedData.composers).length} composers`);
+    log(`Found ${Object.keys(composers).length} composers`);
+    if (legacyConversations.length > 0) {
+        log(`Found ${legacyConversations.length} legacy chats`);
+    }
     
-    // Reconstruct all conversations
-    const conversations = [];
+    const summaries = [];
+    for (const [composerId, composerData] of Object.entries(composers)) {
+        // One malformed composer is skipped rather than failing the whole list
+        try {
+            const summary = getComposerSummary(composerId, composerData);
+            if (summary) {
+                summaries.push(summary);
+                continue;
+            }
+            
+            // Metadata alone is not enough: reconstruct just this conversation
+            const extractedData = await store.loadComposer(composerId, composerData);
+            if (!extractedData) continue;
+            
+            const conversation = reconstructConversation(
+                composerId,
+                extractedData.bubbles,
+                extractedData.checkpoints,
+                extractedData.codeDiffs,
+                composerData
+            );
+            
+            // Only include conversations with messages
+            if (conversation.messages.length > 0) {
+                summaries.push(getConversationSummary(conversation));
+            }
+        } catch (error) {
+            log(`WARNING: Skipped Cursor conversation ${composerId}: ${error.message}`);
+        }
+    }
     
-    for (const [composerId, composerData] of Object.entries(extractedData.composers)) {
-        const conversation = reconstructConversation(
-            composerId,
-            extractedData.bubbles,
-            extractedData.checkpoints,
-            extractedData.codeDiffs,
-            composerData
-        );
-        
-        // Only include conversations with messages
+    // Legacy chats are small and already in memory, so they are always fully reconstructed
+    for (const legacyConversation of legacyConversations) {
+        const conversation = reconstructLegacyConversation(legacyConversation);
         if (conversation.messages.length > 0) {
-            conversations.push(conversation);
+            summaries.push(getConversationSummary(conversation));
         }
     }
     
-    // Generate summaries first to get proper timestamps
-    const conversationsWithSummaries = conversations.map(getConversationSummary);
-    
     // Sort by last message time (most recent first) using the summary timestamps
-    conversationsWithSummaries.sort((a, b) => {
+    summaries.sort((a, b) => {
         return b.lastMessageTime.getTime() - a.lastMessageTime.getTime();
     });
     
     // Limit to requested number
-    const recentConversations = conversationsWithSummaries.slice(0, limit);
+    const recentConversations = summaries.slice(0, limit);
+    
+    // Fetch the first user bubble of each listed conversation for its preview
+    for (const summary of recentConversations) {
+        if (summary.conversation) continue;
+        
+        const composerData = composers[summary.id];
+        const firstUserHeader = composerData.fullConversationHeadersOnly.find(header => header && header.type === 1);
+        const firstUserBubble = firstUserHeader ? await store.getBubble(summary.id, firstUserHeader.bubbleId) : null;
+        summary.preview = getComposerSummary(summary.id, composerData, firstUserBubble).preview;
+    }
+    
+    if (store.stats.parseFailures > 0) {
+        log(`WARNING: Skipped ${store.stats.parseFailures} Cursor rows that could not be parsed`);
+    }
+    describeUnknownVersions(store.stats).forEach(line => log(`WARNING: ${line}`));
+    if (store.stats.recovered > 0) {
+        log(`Recovered ${store.stats.recovered} conversations from orphaned bubbles`);
+    }
+    
     return recentConversations;
 }
 
+/**
+ * Get recent conversations from Cursor data
+ * Summaries are built from composer metadata only; their `conversation` is null and is loaded
+ * on demand (see loadCursorConversation in exporter.js). Composers whose metadata lacks
+ * headers or timestamps are reconstructed individually instead.
+ * Conversations of every profile (and, with `ide: 'all'`, every Cursor installation) are merged;
+ * each summary records the `dbPath` it came from, its `ide` and its `profile`.
+ * @param {number} limit - Maximum number of conversations to return (Infinity for all)
+ * @param {Object|null} extensionContext - Optional VS Code extension context for dynamic path detection
+ * @param {Object|null} outputChannel - Optional output channel for logging
+ * @param {string|null} dbPath - Optional explicit path to a state.vscdb file
+ * @param {string|null} ide - Optional installation ID or 'all'
+ * @param {Array<string>|null} userDataDirs - Optional explicit user-data directories
+ * @param {boolean} recover - Also list conversations rebuilt from orphaned bubbles
+ * @throws {DbNotFoundError|SchemaChangedError|DbLockedError|DbUnreadableError} When the database cannot be read
+ */
+async function getRecentConversations(limit = 10, extensionContext = null, outputChannel = null, dbPath = null, ide = null, userDataDirs = null, recover = false) {
+    const log = (message) => outputChannel ? outputChannel.appendLine(message) : console.log(message);
+    
+    log('Extracting Cursor data...');
+    let recentConversations = [];
+    
+    for await (const { store, installation, profile } of openCursorStores({ dbPath, extensionContext, ide, userDataDirs, recover, outputChannel })) {
+        const summaries = await getStoreConversations(store, limit, log);
+        
+        // Tag each summary with the workspace folder it was created in
+        const workspaceMap = await getComposerWorkspaceMap(store.dbPath, outputChannel);
+        summaries.forEach(summary => {
+            summary.workspace = workspaceMap.get(summary.id) || null;
+            summary.dbPath = store.dbPath;
+            summary.ide = installation ? installation.id : null;
+            summary.profile = profile;
+        });
+        
+        recentConversations = recentConversations.concat(summaries);
+    }
+    
+    recentConversations.sort((a, b) => b.lastMessageTime.getTime() - a.lastMessageTime.getTime());
+    
+    return recentConversations.slice(0, limit);
+}
+
 /**
  * Format conversation for CLI display
  */
@@ -72,8 +162,10 @@ function formatConversationForCLI(conversation, index) {
         modelInfo = ` • 🧠 ${shortModelName}`;
     }
     
+    const workspaceInfo = conversation.workspace ? ` • 📁 ${path.basename(conversation.workspace)}` : '';
+    
     return `${index + 1}. ${title}
-   ${sourceIcon} ${sourceName} • 📅 ${timeAgo} • 💬 ${conversation.messageCount} messages${modelInfo}
+   ${sourceIcon} ${sourceName} • 📅 ${timeAgo} • 💬 ${conversation.messageCount} messages${modelInfo}${workspaceInfo}
    ${preview ? '📝 ' + preview : ''}`;
 }
 
@@ -0,0 +1,582 @@
+const path = require('path');
+const { EXIT_CODES, describeError } = require('./errors');
+const {
+    exportConversation,
+    exportAllConversations,
+    dumpConversation,
+    listConversations
+} = require('./exporter');
+const { filtersFromOptions } = require('./filters');
+const { resolveInstallations } = require('./installations');
+const { startWatch } = require('./watcher');
+const { syncConversations } = require('./sync');
+const { archiveConversations } = require('./archive');
+
+/**
+ * Non-interactive CLI subcommands (export, list, watch, sync, dump, archive) for scripts, git hooks and cron
+ */
+
+// Output channel that keeps library logging off stdout
+const stderrChannel = {
+    appendLine: (line) => process.stderr.write(`${line}\n`)
+};
+
+const FORMAT_ALIASES = {
+    md: 'markdown',
+    markdown: 'markdown',
+    json: 'json'
+};
+
+/**
+ * Parse `--flag value`, `--flag=value` and boolean `--flag` arguments
+ * @param {Array<string>} args - Arguments following the subcommand name
+ * @returns {Object} Parsed options with positional arguments in `_`
+ */
+function parseArgs(args) {
+    const options = { _: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (!arg.startsWith('--')) {
+            options._.push(arg);
+            continue;
+        }
+
+        const equalsIndex = arg.indexOf('=');
+        if (equalsIndex !== -1) {
+            options[arg.slice(2, equalsIndex)] = arg.slice(equalsIndex + 1);
+        } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+            options[arg.slice(2)] = args[++i];
+        } else {
+            options[arg.slice(2)] = true;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Get the explicit data locations (--db, --cline-dir, --ide, --user-data-dir) from parsed options
+ * `--user-data-dir` takes one directory or several separated by the platform path delimiter.
+ * The TRACE_EXTRACTOR_DB, TRACE_EXTRACTOR_CLINE_DIR, TRACE_EXTRACTOR_IDE and
+ * TRACE_EXTRACTOR_USER_DATA_DIR environment variables are honoured further down, by the extractors themselves
+ * @param {Object} options - Parsed command options
+ * @returns {{dbPath: string|null, clineDir: string|null, ide: string|null, userDataDirs: Array<string>|null}} Data locations
+ */
+function locationsFromOptions(options) {
+    return {
+        dbPath: typeof options.db === 'string' ? path.resolve(options.db) : null,
+        clineDir: typeof options['cline-dir'] === 'string' ? path.resolve(options['cline-dir']) : null,
+        ide: typeof options.ide === 'string' ? options.ide : null,
+        userDataDirs: typeof options['user-data-dir'] === 'string'
+            ? options['user-data-dir'].split(path.delimiter).filter(Boolean).map(dir => path.resolve(dir))
+            : null
+    };
+}
+
+/**
+ * Get the archive options (--from-archive, --archive-db) from parsed options
+ * TRACE_EXTRACTOR_ARCHIVE is honoured further down, by the archive itself
+ * @param {Object} options - Parsed command options
+ * @returns {{fromArchive: boolean, archivePath: string|null}} Archive options
+ */
+function archiveFromOptions(options) {
+    return {
+        fromArchive: !!options['from-archive'],
+        archivePath: typeof options['archive-db'] === 'string' ? path.resolve(options['archive-db']) : null
+    };
+}
+
+/**
+ * Print an error for a subcommand and return the matching exit code
+ * @param {Error} error - Error thrown by the pipeline
+ * @returns {number} Exit code
+ */
+function reportError(error) {
+    const [message, ...details] = describeError(error);
+    console.error(`Error: ${message}`);
+    details.forEach(line => console.error(line));
+    return error.exitCode || EXIT_CODES.ERROR;
+}
+
+/**
+ * `export --source cursor|cline --id <id> --format md|json --out <dir>`
+ * `export --all [--source cursor|cline|both] [filters] --format md|json --out <dir>`
+ * @param {Object} options - Parsed command options
+ * @returns {Promise<number>} Exit code
+ */
+async function runExport(options) {
+    const source = options.source || (options.all ? 'both' : 'cursor');
+    const format = FORMAT_ALIASES[options.format || 'md'];
+    const outDir = options.out || './exported-conversations';
+
+    if (!format) {
+        console.error(`Error: unknown format "${options.format}" (expected md or json)`);
+        return EXIT_CODES.ERROR;
+    }
+    if (options.all) {
+        return runExportAll(source, format, outDir, options);
+    }
+    if (source !== 'cursor' && source !== 'cline') {
+        console.error(`Error: unknown source "${source}" (expected cursor or cline)`);
+        return EXIT_CODES.ERROR;
+    }
+    if (!options.id || options.id === true) {
+        console.error('Error: --id <composerId|taskId> is required');
+        return EXIT_CODES.ERROR;
+    }
+    const revision = options.revision !== undefined ? parseInt(options.revision, 10) : null;
+    if (revision !== null && !(revision > 0 && options['from-archive'])) {
+        console.error('Error: --revision <N> takes a positive number and requires --from-archive');
+        return EXIT_CODES.ERROR;
+    }
+
+    try {
+        const result = await exportConversation({
+            source,
+            id: options.id,
+            format,
+            outDir,
+            ...locationsFromOptions(options),
+            ...archiveFromOptions(options),
+            revision,
+            recover: !!options.recover,
+            outputChannel: stderrChannel
+        });
+        console.log(result.filepath);
+        return EXIT_CODES.OK;
+    } catch (error) {
+        return reportError(error);
+    }
+}
+
+/**
+ * Bulk export of every conversation plus index.md/index.json
+ * @param {string} source - 'cursor', 'cline' or 'both'
+ * @param {string} format - 'markdown' or 'json'
+ * @param {string} outDir - Output directory
+ * @param {Object} options - Parsed command options (filters)
+ * @returns {Promise<number>} Exit code
+ */
+async function runExportAll(source, format, outDir, options) {
+    if (!['cursor', 'cline', 'both'].includes(source)) {
+        console.error(`Error: unknown source "${source}" (expected cursor, cline or both)`);
+        return EXIT_CODES.ERROR;
+    }
+
+    try {
+        const { entries, failures, indexFiles } = await exportAllConversations({
+            source,
+            format,
+            outDir,
+            filters: filtersFromOptions(options),
+            ...locationsFromOptions(options),
+            ...archiveFromOptions(options),
+            recover: !!options.recover,
+            outputChannel: stderrChannel
+        });
+
+        entries.forEach(entry => console.log(path.join(outDir, entry.file)));
+        indexFiles.forEach(file => console.log(file));
+        console.error(`Exported ${entries.length} conversations (${failures.length} failed)`);
+
+        return failures.length > 0 ? EXIT_CODES.RENDER_FAILED : EXIT_CODES.OK;
+    } catch (error) {
+        return reportError(error);
+    }
+}
+
+/**
+ * Print conversation summaries as an aligned plain-text table
+ * @param {Array<Object>} rows - Rows produced by runList
+ */
+function printTable(rows) {
+    const columns = [
+        { header: 'SOURCE', value: row => row.source },
+        { header: 'IDE', value: row => row.ide || '-' },
+        { header: 'PROFILE', value: row => row.profile || '-' },
+        { header: 'ID', value: row => row.id },
+        { header: 'MODEL', value: row => row.model || '-' },
+        { header: 'MSGS', value: row => String(row.messageCount) },
+        { header: 'LAST ACTIVITY', value: row => row.lastActivity || '-' },
+        { header: 'WORKSPACE', value: row => row.workspace ? path.basename(row.workspace) : '-' },
+        { header: 'TITLE', value: row => row.title.replace(/\s+/g, ' ') }
+    ];
+    const widths = columns.map(column =>
+        Math.max(column.header.length, ...rows.map(row => column.value(row).length)));
+
+    const formatLine = values => values
+        .map((value, index) => index === columns.length - 1 ? value : value.padEnd(widths[index]))
+        .join('  ');
+
+    console.log(formatLine(columns.map(column => column.header)));
+    for (const row of rows) {
+        console.log(formatLine(columns.map(column => column.value(row))));
+    }
+}
+
+/**
+ * `list [--source cursor|cline|both] [--limit N|--all] [filters] [--json]`
+ * Filters: --since <date>, --until <date>, --grep <text>, --model <name>, --workspace <path>
+ * @param {Object} options - Parsed command options
+ * @returns {Promise<number>} Exit code
+ */
+async function runList(options) {
+    const source = options.source || 'both';
+    const limit = options.all ? Infinity : parseInt(options.limit || '10', 10);
+
+    if (!['cursor', 'cline', 'both'].includes(source)) {
+        console.error(`Error: unknown source "${source}" (expected cursor, cline or both)`);
+        return EXIT_CODES.ERROR;
+    }
+    if (!(limit > 0)) {
+        console.error(`Error: --limit must be a positive number`);
+        return EXIT_CODES.ERROR;
+    }
+
+    try {
+        const conversations = await listConversations({
+            source,
+            limit,
+            filters: filtersFromOptions(options),
+            ...locationsFromOptions(options),
+            ...archiveFromOptions(options),
+            recover: !!options.recover,
+            outputChannel: stderrChannel
+        });
+        const rows = conversations.map(conv => ({
+            id: conv.id,
+            source: conv.source,
+            ide: conv.ide || null,
+            profile: conv.profile || null,
+            title: conv.title,
+            model: conv.model || null,
+            workspace: conv.workspace || null,
+            messageCount: conv.messageCount,
+            lastActivity: isNaN(conv.lastActivity) ? null : conv.lastActivity.toISOString(),
+            ...(conv.revision ? { revision: conv.revision, archivedAt: conv.archivedAt, removedAt: conv.removedAt || null } : {})
+        }));
+
+        if (options.json) {
+            console.log(JSON.stringify(rows, null, 2));
+        } else if (rows.length === 0) {
+            console.error('No conversations found.');
+        } else {
+            printTable(rows);
+        }
+        return EXIT_CODES.OK;
+    } catch (error) {
+        return reportError(error);
+    }
+}
+
+/**
+ * `watch --out <dir> [--source cursor|cline|both] [--format md|json] [--debounce ms]`
+ * Runs until interrupted (Ctrl+C / SIGTERM)
+ * @param {Object} options - Parsed command options
+ * @returns {Promise<number>} Exit code
+ */
+async function runWatch(options) {
+    const source = options.source || 'both';
+    const format = FORMAT_ALIASES[options.format || 'md'];
+    const debounceMs = parseInt(options.debounce || '2000', 10);
+
+    if (!['cursor', 'cline', 'both'].includes(source)) {
+        console.error(`Error: unknown source "${source}" (expected cursor, cline or both)`);
+        return EXIT_CODES.ERROR;
+    }
+    if (!format) {
+        console.error(`Error: unknown format "${options.format}" (expected md or json)`);
+        return EXIT_CODES.ERROR;
+    }
+    if (!(debounceMs > 0)) {
+        console.error('Error: --debounce must be a positive number of milliseconds');
+        return EXIT_CODES.ERROR;
+    }
+    if (typeof options.out !== 'string') {
+        console.error('Error: --out <dir> is required');
+        return EXIT_CODES.ERROR;
+    }
+
+    let watcher;
+    try {
+        watcher = await startWatch({
+            outDir: options.out,
+            format,
+            source,
+            debounceMs,
+            ...locationsFromOptions(options),
+            outputChannel: stderrChannel,
+            onExport: filepath => console.log(filepath)
+        });
+    } catch (error) {
+        return reportError(error);
+    }
+
+    console.error('Watching for conversation changes, press Ctrl+C to stop');
+
+    return new Promise((resolve) => {
+        const stop = () => {
+            watcher.close();
+            resolve(EXIT_CODES.OK);
+        };
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+    });
+}
+
+/**
+ * `sync --out <dir> [--source cursor|cline|both] [--format md|json]`
+ * @param {Object} options - Parsed command options
+ * @returns {Promise<number>} Exit code
+ */
+async function runSync(options) {
+    const source = options.source || 'both';
+    const format = FORMAT_ALIASES[options.format || 'md'];
+
+    if (!['cursor', 'cline', 'both'].includes(source)) {
+        console.error(`Error: unknown source "${source}" (expected cursor, cline or both)`);
+        return EXIT_CODES.ERROR;
+    }
+    if (!format) {
+        console.error(`Error: unknown format "${options.format}" (expected md or json)`);
+        return EXIT_CODES.ERROR;
+    }
+    if (typeof options.out !== 'string') {
+        console.error('Error: --out <dir> is required');
+        return EXIT_CODES.ERROR;
+    }
+
+    try {
+        const result = await syncConversations({
+            outDir: options.out,
+            format,
+            source,
+            ...locationsFromOptions(options),
+            outputChannel: stderrChannel
+        });
+
+        result.created.forEach(entry => console.log(`created   ${entry.file}`));
+        result.updated.forEach(entry => console.log(`updated   ${entry.file}`));
+        result.skipped.forEach(entry => console.log(`skipped   ${entry.source} ${entry.id} (no messages)`));
+        result.orphans.forEach(entry => console.log(`orphaned  ${entry.file} (${entry.source} ${entry.id} no longer exists)`));
+        console.error(`Sync complete: ${result.created.length} created, ${result.updated.length} updated, ` +
+            `${result.unchanged.length} unchanged, ${result.skipped.length} skipped, ${result.orphans.length} orphaned, ` +
+            `${result.failures.length} failed`);
+
+        return result.failures.length > 0 ? EXIT_CODES.RENDER_FAILED : EXIT_CODES.OK;
+    } catch (error) {
+        return reportError(error);
+    }
+}
+
+/**
+ * `dump --id <composerId> [--out <file>] [--redact]`
+ * Prints the dump to stdout unless --out is given
+ * @param {Object} options - Parsed command options
+ * @returns {Promise<number>} Exit code
+ */
+async function runDump(options) {
+    if (!options.id || options.id === true) {
+        console.error('Error: --id <composerId> is required');
+        return EXIT_CODES.ERROR;
+    }
+    if (options.out === true) {
+        console.error('Error: --out <file> requires a value');
+        return EXIT_CODES.ERROR;
+    }
+
+    try {
+        const { dump, filepath } = await dumpConversation({
+            id: options.id,
+            outFile: options.out || null,
+            redact: !!options.redact,
+            ...locationsFromOptions(options)
+        });
+
+        if (filepath) {
+            console.log(filepath);
+            console.error(`Dumped ${dump.rows.length} rows${dump.redacted ? ' (redacted)' : ''}`);
+        } else {
+            console.log(JSON.stringify(dump, null, 2));
+        }
+        return EXIT_CODES.OK;
+    } catch (error) {
+        return reportError(error);
+    }
+}
+
+/**
+ * `archive [--source cursor|cline|both] [--archive-db <file>]`
+ * @param {Object} options - Parsed command options
+ * @returns {Promise<number>} Exit code
+ */
+async function runArchive(options) {
+    const source = options.source || 'both';
+
+    if (!['cursor', 'cline', 'both'].includes(source)) {
+        console.error(`Error: unknown source "${source}" (expected cursor, cline or both)`);
+        return EXIT_CODES.ERROR;
+    }
+
+    try {
+        const result = await archiveConversations({
+            source,
+            ...locationsFromOptions(options),
+            archivePath: archiveFromOptions(options).archivePath,
+            recover: !!options.recover,
+            outputChannel: stderrChannel
+        });
+
+        result.added.forEach(entry => console.log(`added     ${entry.source} ${entry.id} ${entry.title}`));
+        result.revised.forEach(entry => console.log(`revised   ${entry.source} ${entry.id} ${entry.title}`));
+        result.removed.forEach(entry => console.log(`removed   ${entry.source} ${entry.id} (kept in the archive)`));
+        console.error(`Archive ${result.archivePath} updated: ${result.added.length} added, ${result.revised.length} revised, ` +
+            `${result.unchanged.length} unchanged, ${result.removed.length} removed at the source, ${result.failures.length} failed`);
+
+        return result.failures.length > 0 ? EXIT_CODES.RENDER_FAILED : EXIT_CODES.OK;
+    } catch (error) {
+        return reportError(error);
+    }
+}
+
+const COMMANDS = {
+    export: runExport,
+    list: runList,
+    watch: runWatch,
+    sync: runSync,
+    dump: runDump,
+    archive: runArchive
+};
+
+// Options shared by several subcommands, as listed in their usage
+const LOCATION_OPTIONS = `Data locations:
+  --db <file>              Read a specific state.vscdb or dump file (env: TRACE_EXTRACTOR_DB)
+  --cline-dir <dir>        Read Cline tasks from this directory (env: TRACE_EXTRACTOR_CLINE_DIR)
+  --ide <name|all>         Read a specific installation, or every one (env: TRACE_EXTRACTOR_IDE)
+  --user-data-dir <dir>    Read an editor started with --user-data-dir (env: TRACE_EXTRACTOR_USER_DATA_DIR)`;
+
+const FILTER_OPTIONS = `Filters:
+  --since <date>           Only conversations active since a date (YYYY-MM-DD, ISO, or 7d/12h/2w)
+  --until <date>           Only conversations active until a date
+  --grep <text>            Title or preview contains text
+  --model <name>           Model name contains text
+  --workspace <path>       Conversations from this project folder (or folders inside it)`;
+
+const ARCHIVE_OPTIONS = `Archive:
+  --from-archive           Read the archived conversations instead of the editors' ones
+  --archive-db <file>      Archive location (env: TRACE_EXTRACTOR_ARCHIVE)`;
+
+// Usage printed by `<subcommand> --help`
+const COMMAND_USAGE = {
+    export: `Usage:
+  trace-extractor export --source cursor|cline --id <id> [--format md|json] [--out <dir>]
+  trace-extractor export --all [--source cursor|cline|both] [--format md|json] [--out <dir>]
+
+Export one conversation, or every conversation plus index.md/index.json, without prompts.
+The path of each written file is printed. Filters apply to --all.
+
+Options:
+  --revision <N>           With --id --from-archive: export an older revision
+  --recover                Rebuild Cursor conversations whose metadata row is missing or corrupt
+
+${FILTER_OPTIONS}
+
+${ARCHIVE_OPTIONS}
+
+${LOCATION_OPTIONS}`,
+
+    list: `Usage:
+  trace-extractor list [--source cursor|cline|both] [--limit N|--all] [--json]
+
+List conversation IDs, sources, models, message counts, last activity and titles.
+
+Options:
+  --recover                Include Cursor conversations rebuilt from orphaned messages
+
+${FILTER_OPTIONS}
+
+${ARCHIVE_OPTIONS}
+
+${LOCATION_OPTIONS}`,
+
+    watch: `Usage:
+  trace-extractor watch --out <dir> [--source cursor|cline|both] [--format md|json] [--debounce ms]
+
+Re-export conversations as they change, until Ctrl+C.
+
+${LOCATION_OPTIONS}`,
+
+    sync: `Usage:
+  trace-extractor sync --out <dir> [--source cursor|cline|both] [--format md|json]
+
+Re-render only conversations that changed since the last sync (tracked in manifest.json).
+
+${LOCATION_OPTIONS}`,
+
+    dump: `Usage:
+  trace-extractor dump --id <composerId> [--out <file>] [--redact]
+
+Write the raw database rows behind a Cursor conversation as JSON, for bug reports.
+--redact replaces text, code and paths with placeholders. Read a dump back with --db <file>.
+
+${LOCATION_OPTIONS}`,
+
+    archive: `Usage:
+  trace-extractor archive [--source cursor|cline|both] [--archive-db <file>]
+
+Snapshot every conversation into Trace Extractor's own archive, keeping a revision per change.
+
+Options:
+  --recover                Also archive Cursor conversations rebuilt from orphaned messages
+
+${LOCATION_OPTIONS}`
+};
+
+/**
+ * Check whether the first CLI argument names a subcommand
+ * @param {string} name - First CLI argument
+ * @returns {boolean} True if it is a known subcommand
+ */
+function isCommand(name) {
+    return Object.prototype.hasOwnProperty.call(COMMANDS, name);
+}
+
+/**
+ * Run a subcommand
+ * `--help` (or `-h`) prints the subcommand's usage instead of running it
+ * @param {Array<string>} argv - CLI arguments, starting with the subcommand name
+ * @returns {Promise<number>} Exit code
+ */
+async function runCommand(argv) {
+    const [name, ...args] = argv;
+    const options = parseArgs(args);
+
+    if (options.help || options._.includes('-h')) {
+        console.log(COMMAND_USAGE[name]);
+        return EXIT_CODES.OK;
+    }
+
+    if (options.ide === true) {
+        console.error('Error: --ide <name|all> requires a value');
+        return EXIT_CODES.ERROR;
+    }
+    if (options.ide) {
+        try {
+            resolveInstallations(options.ide);
+        } catch (error) {
+            return reportError(error);
+        }
+    }
+
+    return COMMANDS[name](options);
+}
+
+module.exports = {
+    EXIT_CODES,
+    parseArgs,
+    locationsFromOptions,
+    isCommand,
+    runCommand
+};
@@ -1,3 +1,5 @@
+const { getFilesTouched } = require('../files-touched');
+
 /**
  * Parse Cline conversation data into a structured format similar to Cursor
  */
@@ -19,6 +21,7 @@ function parseClineConversation(taskData) {
         timestamp,
         title: extractConversationTitle(uiMessages),
         model: modelName,
+        workspace: extractWorkspaceFolder(apiConversation),
         messages: [],
         metadata: taskMetadata,
         messageCount: 0
@@ -28,10 +31,31 @@ function parseClineConversation(taskData) {
     const processedMessages = processUIMessages(uiMessages, apiConversation);
     conversation.messages = processedMessages;
     conversation.messageCount = processedMessages.length;
+    conversation.files = getFilesTouched(processedMessages);
     
     return conversation;
 }
 
+/**
+ * Extract the workspace folder a task ran in
+ * Cline appends `# Current Working Directory (<path>) Files` to the environment details
+ * it sends with user turns
+ * @param {Array} apiConversation - API conversation history
+ * @returns {string|null} Workspace folder or null
+ */
+function extractWorkspaceFolder(apiConversation) {
+    for (const message of apiConversation || []) {
+        if (message.role !== 'user') continue;
+
+        const blocks = Array.isArray(message.content) ? message.content : [{ text: message.content }];
+        for (const block of blocks) {
+            const match = typeof block?.text === 'string' && block.text.match(/# Current Working Directory \((.+?)\) Files/);
+            if (match) return match[1];
+        }
+    }
+    return null;
+}
+
 /**
  * Extract conversation title from UI messages
  * @param {Array} uiMessages - Array of UI messages
@@ -322,6 +346,7 @@ function calculateConversationDuration(conversation) {
 module.exports = {
     parseClineConversation,
     extractConversationTitle,
+    extractWorkspaceFolder,
     formatToolCall,
     getConversationSummary,
     calculateConversationDuration
@@ -1,6 +1,15 @@
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
+const { extractWorkspaceFolder } = require('./conversation-parser');
+const {
+    resolveInstallations,
+    resolveUserDataDirs,
+    getProfileStorageDirs,
+    getGlobalStorageDirs,
+    getUserDataDirForPath,
+    getInstallationForPath,
+    getProfileForPath
+} = require('../installations');
 
 /**
  * Safely parse JSON files with better error handling
@@ -133,61 +142,73 @@ function getExtensionFriendlyName(extensionId) {
 }
 
 /**
- * Detect current IDE based on environment or process
- * @returns {string} IDE name: 'cursor' or 'vscode'
+ * Resolve an explicitly configured Cline directory
+ * Accepts either an extension storage directory containing `tasks/` or a `tasks/` directory itself
+ * @param {string} clineDir - Directory given via --cline-dir, TRACE_EXTRACTOR_CLINE_DIR or settings
+ * @returns {string|null} Base directory whose `tasks/` subdirectory holds the tasks, or null
  */
-function detectCurrentIDE() {
-    // Check environment variables and process info
-    if (process.env.TERM_PROGRAM === 'Cursor' || 
-        process.env.VSCODE_CWD && process.env.VSCODE_CWD.includes('Cursor') ||
-        process.execPath && process.execPath.includes('Cursor')) {
-        return 'cursor';
+function resolveClineDirectory(clineDir) {
+    const resolved = path.resolve(clineDir);
+    
+    if (fs.existsSync(path.join(resolved, 'tasks'))) {
+        return resolved;
+    }
+    if (path.basename(resolved) === 'tasks' && fs.existsSync(resolved)) {
+        return path.dirname(resolved);
     }
-    // Default to vscode
-    return 'vscode';
+    return null;
 }
 
 /**
  * Find Cline data directories based on current IDE
- * Supports custom user data directories when extension context is provided
- * @param {string|null} ideHint - Optional IDE hint ('cursor' or 'vscode')
+ * Supports custom user data directories when extension context is provided, explicit user-data
+ * directories, and the profiles (User/profiles/*) of each of them
+ * @param {string|null} ideHint - Optional installation ID (e.g. 'cursor', 'vscode-insiders') or 'all'
+ *                               (falls back to the TRACE_EXTRACTOR_IDE environment variable, then detection)
  * @param {Object|null} extensionContext - Optional VS Code extension context for dynamic path detection
  * @param {Object|null} outputChannel - Optional VS Code output channel for logging
+ * @param {string|null} clineDir - Optional explicit Cline directory; overrides detection
+ *                                 (falls back to the TRACE_EXTRACTOR_CLINE_DIR environment variable)
+ * @param {Array<string>|null} userDataDirs - Optional explicit user-data directories; replace IDE detection
+ *                                            (falls back to the TRACE_EXTRACTOR_USER_DATA_DIR environment variable)
  * @returns {Array<string>} Array of Cline data directory paths
  */
-function findClineDirectories(ideHint = null, extensionContext = null, outputChannel = null) {
+function findClineDirectories(ideHint = null, extensionContext = null, outputChannel = null, clineDir = null, userDataDirs = null) {
     const directories = [];
-    const homeDir = os.homedir();
-    const currentIDE = ideHint || detectCurrentIDE();
     
-    const message = `Detecting IDE: ${currentIDE}`;
+    const overrideDir = clineDir || process.env.TRACE_EXTRACTOR_CLINE_DIR;
+    if (overrideDir) {
+        const baseDir = resolveClineDirectory(overrideDir);
+        if (baseDir) {
+            const message = `Using Cline directory: ${baseDir}`;
+            if (outputChannel) outputChannel.appendLine(message);
+            else console.log(message);
+            return [baseDir];
+        }
+        
+        const message = `Cline directory ${overrideDir} has no tasks/ folder`;
+        if (outputChannel) outputChannel.appendLine(`WARNING: ${message}`);
+        else console.warn('Warning:', message);
+        return [];
+    }
+    
+    const explicitDirs = resolveUserDataDirs(userDataDirs);
+    const message = explicitDirs.length > 0
+        ? `Using user data directories: ${explicitDirs.join(', ')}`
+        : `Detecting IDE: ${resolveInstallations(ideHint).map(installation => installation.id).join(', ')}`;
     if (outputChannel) outputChannel.appendLine(message);
     else console.log(message);
-    let possiblePaths = [];
+    const storageDirs = [];
     
     // If we have extension context, try to detect custom user data directory
-    if (extensionContext && extensionContext.globalStorageUri) {
+    // (it belongs to the running editor, so it only applies when nothing else was selected)
+    if (!ideHint && !process.env.TRACE_EXTRACTOR_IDE && explicitDirs.length === 0 &&
+        extensionContext && extensionContext.globalStorageUri) {
         try {
             // The globalStorageUri gives us the path to the extension's global storage
-            // Check all supported Cline extension IDs
-            for (const extensionId of CLINE_EXTENSION_IDS) {
-                const globalStoragePath = extensionContext.globalStorageUri.fsPath;
-                const userGlobalStorageDir = path.dirname(globalStoragePath);
-                const extensionPath = path.join(userGlobalStorageDir, extensionId);
-                const tasksDir = path.join(extensionPath, 'tasks');
-                
-                if (fs.existsSync(extensionPath) && fs.existsSync(tasksDir)) {
-                    directories.push(extensionPath);
-                    const friendlyName = getExtensionFriendlyName(extensionId);
-                    const message = `Found ${friendlyName} directory via extension context: ${extensionPath}`;
-                    if (outputChannel) outputChannel.appendLine(message);
-                    else console.log(message);
-                }
-            }
-            
-            if (directories.length > 0) {
-                return directories; // Return early with found paths
-            }
+            const userGlobalStorageDir = path.dirname(extensionContext.globalStorageUri.fsPath);
+            const userDataDir = getUserDataDirForPath(userGlobalStorageDir);
+            storageDirs.push(...(userDataDir ? getProfileStorageDirs(userDataDir) : [userGlobalStorageDir]));
         } catch (error) {
             const message = `Could not use extension context for Cline directory detection: ${error.message}`;
             if (outputChannel) outputChannel.appendLine(`WARNING: ${message}`);
@@ -196,42 +217,17 @@ function findClineDirectories(ideHint = null, extensionContext = null, outputCha
         }
     }
 
-    // Get platform-specific base directories
-    const platform = os.platform();
-    let appDataDir, configDir;
-
-    if (platform === 'win32') {
-        // Windows paths
-        appDataDir = path.join(homeDir, 'AppData', 'Roaming');
-        configDir = appDataDir;
-    } else if (platform === 'darwin') {
-        // macOS paths
-        appDataDir = path.join(homeDir, 'Library', 'Application Support');
-        configDir = appDataDir;
-    } else {
-        // Linux/Unix paths
-        appDataDir = path.join(homeDir, '.config');
-        configDir = appDataDir;
-    }
+    // Every profile of every selected installation (or explicit user-data directory)
+    storageDirs.push(...getGlobalStorageDirs(ideHint, explicitDirs).map(entry => entry.dir));
 
     // Build paths for all supported Cline extension IDs
-    for (const extensionId of CLINE_EXTENSION_IDS) {
-        if (currentIDE === 'cursor') {
-            // Cursor-specific paths for all platforms
-            possiblePaths.push(
-                path.join(appDataDir, 'Cursor', 'User', 'globalStorage', extensionId),
-                path.join(homeDir, '.cursor', 'User', 'globalStorage', extensionId)
-            );
-        } else {
-            // VS Code-specific paths for all platforms
-            possiblePaths.push(
-                path.join(appDataDir, 'Code', 'User', 'globalStorage', extensionId),
-                path.join(homeDir, '.vscode', 'User', 'globalStorage', extensionId)
-            );
+    const possiblePaths = new Set();
+    for (const dir of storageDirs) {
+        for (const extensionId of CLINE_EXTENSION_IDS) {
+            possiblePaths.add(path.join(dir, extensionId));
         }
     }
 
-
     for (const dirPath of possiblePaths) {
         try {
             if (fs.existsSync(dirPath)) {
@@ -254,14 +250,27 @@ function findClineDirectories(ideHint = null, extensionContext = null, outputCha
     return directories;
 }
 
+/**
+ * Whether the Cline directory was named explicitly (--cline-dir or TRACE_EXTRACTOR_CLINE_DIR) rather than detected
+ * @param {string|null} clineDir - Optional explicit Cline directory
+ * @returns {boolean} True for an explicit directory, which may be a copy rather than the live one
+ */
+function hasClineDirOverride(clineDir = null) {
+    return Boolean(clineDir || process.env.TRACE_EXTRACTOR_CLINE_DIR);
+}
+
 /**
  * Get all Cline tasks from all found directories
  * @param {Object|null} extensionContext - Optional VS Code extension context for dynamic path detection
  * @param {Object|null} outputChannel - Optional VS Code output channel for logging
+ * @param {string|null} clineDir - Optional explicit Cline directory
+ * @param {string|null} ide - Optional installation ID or 'all'
+ * @param {Array<string>|null} userDataDirs - Optional explicit user-data directories
+ * @param {Function|null} onSkip - Optional callback (tasksDir, error) for a tasks directory that could not be read
  * @returns {Array<Object>} Array of task objects with metadata
  */
-function getAllClineTasks(extensionContext = null, outputChannel = null) {
-    const directories = findClineDirectories(null, extensionContext, outputChannel);
+function getAllClineTasks(extensionContext = null, outputChannel = null, clineDir = null, ide = null, userDataDirs = null, onSkip = null) {
+    const directories = findClineDirectories(ide, extensionContext, outputChannel, clineDir, userDataDirs);
     const allTasks = [];
     
     for (const baseDir of directories) {
@@ -298,6 +307,7 @@ function getAllClineTasks(extensionContext = null, outputChannel = null) {
             const message = `Could not read Cline tasks from ${tasksDir}: ${error.message}`;
             if (outputChannel) outputChannel.appendLine(`WARNING: ${message}`);
             else console.warn('Warning:', message);
+            if (onSkip) onSkip(tasksDir, error);
         }
     }
     
@@ -311,10 +321,13 @@ function getAllClineTasks(extensionContext = null, outputChannel = null) {
  * @param {string|null} baseDir - Base directory containing the task
  * @param {Object|null} extensionContext - Optional VS Code extension context for dynamic path detection
  * @param {Object|null} outputChannel - Optional VS Code output channel for logging
+ * @param {string|null} clineDir - Optional explicit Cline directory, used when baseDir is not given
+ * @param {string|null} ide - Optional installation ID or 'all', used when baseDir is not given
+ * @param {Array<string>|null} userDataDirs - Optional explicit user-data directories, used when baseDir is not given
  * @returns {Object|null} Extracted task data or null if not found
  */
-function extractClineTask(taskId, baseDir = null, extensionContext = null, outputChannel = null) {
-    const directories = baseDir ? [baseDir] : findClineDirectories(null, extensionContext, outputChannel);
+function extractClineTask(taskId, baseDir = null, extensionContext = null, outputChannel = null, clineDir = null, ide = null, userDataDirs = null) {
+    const directories = baseDir ? [baseDir] : findClineDirectories(ide, extensionContext, outputChannel, clineDir, userDataDirs);
     
     for (const dir of directories) {
         const taskPath = path.join(dir, 'tasks', taskId);
@@ -363,10 +376,13 @@ function extractClineTask(taskId, baseDir = null, extensionContext = null, outpu
  * @param {number} limit - Maximum number of conversations to return
  * @param {Object|null} extensionContext - Optional VS Code extension context for dynamic path detection
  * @param {Object|null} outputChannel - Optional VS Code output channel for logging
+ * @param {string|null} clineDir - Optional explicit Cline directory
+ * @param {string|null} ide - Optional installation ID or 'all'
+ * @param {Array<string>|null} userDataDirs - Optional explicit user-data directories
  * @returns {Array<Object>} Array of conversation summaries
  */
-function getRecentClineConversations(limit = 20, extensionContext = null, outputChannel = null) {
-    const allTasks = getAllClineTasks(extensionContext, outputChannel);
+function getRecentClineConversations(limit = 20, extensionContext = null, outputChannel = null, clineDir = null, ide = null, userDataDirs = null) {
+    const allTasks = getAllClineTasks(extensionContext, outputChannel, clineDir, ide, userDataDirs);
     const conversations = [];
     
     for (const task of allTasks.slice(0, limit)) {
@@ -385,6 +401,7 @@ function getRecentClineConversations(limit = 20, extensionContext = null, output
                 
                 // Determine which extension this task belongs to based on baseDir
                 const extensionId = CLINE_EXTENSION_IDS.find(id => task.baseDir.includes(id)) || 'unknown';
+                const installation = getInstallationForPath(task.baseDir);
                 
                 conversations.push({
                     id: task.taskId,
@@ -392,8 +409,11 @@ function getRecentClineConversations(limit = 20, extensionContext = null, output
                     timestamp: task.lastModified,
                     messageCount: taskData.uiMessages?.length || 0,
                     model: modelName,
+                    workspace: extractWorkspaceFolder(taskData.apiConversation),
                     baseDir: task.baseDir,
-                    extensionId
+                    extensionId,
+                    ide: installation ? installation.id : null,
+                    profile: getProfileForPath(task.baseDir)
                 });
             }
         } catch (error) {
@@ -409,8 +429,9 @@ function getRecentClineConversations(limit = 20, extensionContext = null, output
 module.exports = {
     CLINE_EXTENSION_IDS,
     getExtensionFriendlyName,
-    detectCurrentIDE,
+    resolveClineDirectory,
     findClineDirectories,
+    hasClineDirOverride,
     getAllClineTasks,
     extractClineTask,
     getRecentClineConversations
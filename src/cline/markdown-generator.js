@@ -1,3 +1,6 @@
+const { formatFilesTouched } = require('../files-touched');
+const { findTool, getToolParameter } = require('../tool-registry');
+
 /**
  * Generate markdown for Cline conversations in a similar style to Cursor
  */
@@ -33,6 +36,11 @@ function conversationToMarkdown(conversation) {
     
     markdown += '\n---\n\n';
     
+    const filesTouched = formatFilesTouched(conversation.files);
+    if (filesTouched) {
+        markdown += `${filesTouched}---\n\n`;
+    }
+    
     // Messages
     for (const message of messages) {
         markdown += formatMessage(message);
@@ -54,12 +62,16 @@ function formatMessage(message) {
         formatted += '## 👤 User\n\n';
         formatted += message.content;
         
-        // Add images if present
+        // Add images if present (exports replace them with paths to extracted files, see assets.js)
         if (message.images && message.images.length > 0) {
             formatted += '\n\n**Images:**\n';
-            for (const image of message.images) {
-                formatted += `- ${image}\n`;
-            }
+            message.images.forEach((image, index) => {
+                if (typeof image === 'string' && !image.startsWith('data:')) {
+                    formatted += `\n![Image ${index + 1}](${encodeURI(image.replace(/\\/g, '/'))})\n`;
+                } else {
+                    formatted += `- _Image ${index + 1} not exported_\n`;
+                }
+            });
         }
         
         // Add files if present
@@ -118,42 +130,29 @@ function formatToolCall(toolCall) {
     const toolName = toolCall.name || 'Unknown Tool';
     let formatted = '';
     
-    // Tool header with emoji mapping
-    const toolEmojis = {
-        'readFile': '📖',
-        'writeFile': '✏️',
-        'listFilesRecursive': '📁',
-        'listFiles': '📂',
-        'searchFiles': '🔍',
-        'executeCommand': '⚡',
-        'createFile': '📄',
-        'editFile': '✏️',
-        'editedExistingFile': '✏️',
-        'replace_in_file': '✏️',
-        'default': '🔧'
-    };
-    
-    const emoji = toolEmojis[toolName] || toolEmojis.default;
+    // Tool header from the tool registry (see tool-registry.js)
+    const tool = findTool(toolName);
+    const emoji = tool ? tool.emoji : '🔧';
     formatted += `${emoji} **${getToolDisplayName(toolName)}**\n`;
     
     // Add tool details
     if (toolCall.input) {
         const input = typeof toolCall.input === 'string' ? toolCall.input : toolCall.input;
         
-        // Special handling for different tool types
-        if (toolName === 'readFile' || toolName === 'writeFile' || toolName === 'editFile' || 
-            toolName === 'editedExistingFile' || toolName === 'replace_in_file') {
-            const path = input.path || extractPathFromInput(input);
+        // Show what the tool worked on, labelled by its category
+        const category = tool ? tool.category : null;
+        if (category === 'read' || category === 'edit') {
+            const path = getToolParameter(tool, input, 'path') || extractPathFromInput(input);
             if (path) {
                 formatted += `File: \`${path}\`\n`;
             }
-        } else if (toolName === 'listFilesRecursive' || toolName === 'listFiles') {
-            const path = input.path || extractPathFromInput(input);
+        } else if (category === 'list') {
+            const path = getToolParameter(tool, input, 'path') || extractPathFromInput(input);
             if (path) {
                 formatted += `Directory: \`${path}\`\n`;
             }
-        } else if (toolName === 'executeCommand') {
-            const command = input.command || extractCommandFromInput(input);
+        } else if (category === 'command') {
+            const command = getToolParameter(tool, input, 'command') || extractCommandFromInput(input);
             if (command) {
                 formatted += `Command: \`${command}\`\n`;
             }
@@ -194,20 +193,8 @@ function formatToolCall(toolCall) {
  * @returns {string} Display name
  */
 function getToolDisplayName(toolName) {
-    const displayNames = {
-        'readFile': 'Read File',
-        'writeFile': 'Write File',
-        'listFilesRecursive': 'List Files (Recursive)',
-        'listFiles': 'List Files',
-        'searchFiles': 'Search Files',
-        'executeCommand': 'Execute Command',
-        'createFile': 'Create File',
-        'editFile': 'Edit File',
-        'editedExistingFile': 'Edit Existing File',
-        'replace_in_file': 'Replace in File'
-    };
-    
-    return displayNames[toolName] || toolName;
+    const tool = findTool(toolName);
+    return tool ? tool.title : toolName;
 }
 
 /**
@@ -262,9 +249,26 @@ function generateConversationSummary(conversation) {
     return summary.join('\n');
 }
 
+/**
+ * Generate filename for a Cline conversation
+ * @param {Object} conversation - Parsed conversation
+ * @returns {string} Markdown filename
+ */
+function generateClineFilename(conversation) {
+    const safeTitle = (conversation.title || 'untitled')
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/[-\s]+/g, '-')
+        .substring(0, 50)
+        .toLowerCase();
+    
+    return `cline-${safeTitle}_${conversation.id}.md`;
+}
+
 module.exports = {
     conversationToMarkdown,
     formatMessage,
     formatToolCall,
-    generateConversationSummary
+    generateConversationSummary,
+    generateClineFilename
 };
\ No newline at end of file
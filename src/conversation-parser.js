@@ -1,51 +1,75 @@
-const { parseMessageContent } = require('./extractor');
+const path = require('path');
+const { normalizeComposer } = require('./cursor-schema');
+const { getFileOperation, getToolFilePath, getFilesTouched } = require('./files-touched');
+const { findTool, findToolByCursorId, inferTool } = require('./tool-registry');
 
 /**
  * Reconstruct conversation from bubbles and checkpoints
+ * Rows are first normalized by the schema adapters (see cursor-schema.js); the result's
+ * `schema` records the versions found and any the adapters did not recognise.
+ * Bubbles that exist but are missing from the conversation order end up in `unordered_messages`.
+ * Inline tool results are paired with the inline tool calls they answer, across messages too.
+ * User messages carry the attachments the model was given in `context` (see extractBubbleContext).
+ * `files` lists the files the conversation read, created, edited or deleted (see files-touched.js).
  */
 function reconstructConversation(composerId, bubbles, checkpoints, codeDiffs, composerData) {
     const messages = [];
+    const pendingToolCalls = [];
     
-    // Get all bubbles for this composer
-    const composerBubbles = bubbles[composerId] || {};
+    // Normalize this composer's rows, whatever Cursor release wrote them
+    const normalized = normalizeComposer(composerId, composerData, bubbles[composerId] || {});
+    const composerBubbles = normalized.bubbles;
     const composerCheckpoints = checkpoints[composerId] || {};
     const composerCodeDiffs = codeDiffs[composerId] || {};
     
     // Check if we have conversation order from composer data
-    const conversationOrder = composerData.fullConversationHeadersOnly || [];
+    const conversationOrder = normalized.composerData.fullConversationHeadersOnly;
+    
+    // Map each bubble listed in the conversation order to its position
+    const bubbleOrderMap = new Map();
+    conversationOrder.forEach((header, index) => {
+        if (header.bubbleId && composerBubbles[header.bubbleId] && !bubbleOrderMap.has(header.bubbleId)) {
+            bubbleOrderMap.set(header.bubbleId, index);
+        }
+    });
     
     // Sort bubbles by conversation order if available, otherwise by timestamp
     let sortedBubbles;
-    if (conversationOrder.length > 0) {
+    let unorderedMessages = [];
+    if (bubbleOrderMap.size > 0) {
         // Use conversation order from composer data
-        const bubbleOrderMap = new Map();
-        conversationOrder.forEach((header, index) => {
-            if (header.bubbleId && composerBubbles[header.bubbleId]) {
-                bubbleOrderMap.set(header.bubbleId, index);
-            }
-        });
-        
         sortedBubbles = Object.entries(composerBubbles)
+            .filter(([id]) => bubbleOrderMap.has(id))
             .map(([id, bubble]) => ({
                 id,
                 ...bubble,
-                orderIndex: bubbleOrderMap.has(id) ? bubbleOrderMap.get(id) : 999999,
-                timestamp: bubble.timestamp || bubble.createdAt || 0
+                orderIndex: bubbleOrderMap.get(id)
             }))
-            .sort((a, b) => {
-                // Sort by conversation order first, then by timestamp as fallback
-                if (a.orderIndex !== b.orderIndex) {
-                    return a.orderIndex - b.orderIndex;
-                }
-                return a.timestamp - b.timestamp;
-            });
+            .sort((a, b) => a.orderIndex - b.orderIndex);
+        
+        // Bubbles missing from the order cannot be placed in the conversation: reconstruct them
+        // on their own, by timestamp, into a separate "unordered" section
+        const unorderedBubbles = {};
+        for (const [id, bubble] of Object.entries(bubbles[composerId] || {})) {
+            if (!bubbleOrderMap.has(id)) {
+                unorderedBubbles[id] = bubble;
+            }
+        }
+        if (Object.keys(unorderedBubbles).length > 0) {
+            unorderedMessages = reconstructConversation(
+                composerId,
+                { [composerId]: unorderedBubbles },
+                {},
+                {},
+                { ...composerData, conversation: undefined, fullConversationHeadersOnly: [] }
+            ).messages;
+        }
     } else {
         // Fallback to timestamp sorting
         sortedBubbles = Object.entries(composerBubbles)
             .map(([id, bubble]) => ({
                 id,
-                ...bubble,
-                timestamp: bubble.timestamp || bubble.createdAt || 0
+                ...bubble
             }))
             .sort((a, b) => a.timestamp - b.timestamp);
     }
@@ -64,7 +88,7 @@ function reconstructConversation(composerId, bubbles, checkpoints, codeDiffs, co
             messageGroups.push({
                 type: 'user',
                 bubbles: [bubble],
-                timestamp: bubble.timestamp || bubble.createdAt || 0,
+                timestamp: bubble.timestamp,
                 usageUuid: bubble.usageUuid || null
             });
         } else {
@@ -84,7 +108,7 @@ function reconstructConversation(composerId, bubbles, checkpoints, codeDiffs, co
                 currentAssistantGroup = {
                     type: 'assistant',
                     bubbles: [],
-                    timestamp: bubble.timestamp || bubble.createdAt || 0,
+                    timestamp: bubble.timestamp,
                     usageUuid: bubbleUsageUuid || `bubble-${bubble.id}`
                 };
                 messageGroups.push(currentAssistantGroup);
@@ -103,7 +127,7 @@ function reconstructConversation(composerId, bubbles, checkpoints, codeDiffs, co
     
     // Convert groups to messages
     // First, get the base timestamp for this conversation
-    const baseTimestamp = getLatestTimestampForComposer(composerId, bubbles, composerData);
+    const baseTimestamp = getLatestTimestampForComposer(composerId, { [composerId]: composerBubbles }, composerData);
     const baseTime = baseTimestamp ? baseTimestamp.getTime() : Date.now();
     
     for (const group of messageGroups) {
@@ -111,9 +135,10 @@ function reconstructConversation(composerId, bubbles, checkpoints, codeDiffs, co
             // User message - simple case
             const bubble = group.bubbles[0];
             const parsed = parseMessageContent(bubble.text || '');
+            carryOverToolResults(pendingToolCalls, parsed);
             
             // If bubble has no timestamp, estimate based on position and base time
-            let messageTimestamp = bubble.timestamp || bubble.createdAt || 0;
+            let messageTimestamp = bubble.timestamp;
             if (messageTimestamp === 0 && baseTimestamp) {
                 // For follow-up messages, add small increments to base timestamp
                 // This helps distinguish multiple user messages in the same conversation
@@ -127,6 +152,9 @@ function reconstructConversation(composerId, bubbles, checkpoints, codeDiffs, co
                 timestamp: messageTimestamp,
                 content: parsed,
                 raw_content: bubble.text || '',
+                rich_text: bubble.richText || undefined,
+                context: extractBubbleContext(bubble),
+                images: Array.isArray(bubble.images) ? bubble.images : [],
                 thinking_duration_ms: bubble.thinkingDurationMs || 0,
                 usage_uuid: bubble.usageUuid
             });
@@ -148,7 +176,7 @@ function reconstructConversation(composerId, bubbles, checkpoints, codeDiffs, co
             // Process all bubbles in the group and find the latest timestamp
             for (const bubble of group.bubbles) {
                 // Update main timestamp to the latest bubble timestamp
-                const bubbleTimestamp = bubble.timestamp || bubble.createdAt || 0;
+                const bubbleTimestamp = bubble.timestamp;
                 if (bubbleTimestamp > mainTimestamp) {
                     mainTimestamp = bubbleTimestamp;
                 }
@@ -156,6 +184,7 @@ function reconstructConversation(composerId, bubbles, checkpoints, codeDiffs, co
                 // Parse text content if available
                 if (bubble.text) {
                     const parsed = parseMessageContent(bubble.text);
+                    carryOverToolResults(pendingToolCalls, parsed);
                     combinedContent.text += parsed.text;
                     combinedContent.tool_calls.push(...parsed.tool_calls);
                     combinedContent.tool_results.push(...parsed.tool_results);
@@ -211,74 +240,18 @@ function reconstructConversation(composerId, bubbles, checkpoints, codeDiffs, co
                         }
                     }
                     
-                    // Enhanced tool name detection
-                    let toolName = toolData.name || toolData.tool || toolData.toolName || toolData.tool_name;
-                    
-                    // If no tool name found, try to infer from multiple sources
-                    if (!toolName || toolName === 'unknown_tool') {
-                        // Check parameters first
-                        if (parameters.file_path || parameters.path || parameters.target_file) {
-                            if (parameters.old_string || parameters.new_string) {
-                                toolName = 'Edit';
-                            } else if (parameters.content) {
-                                toolName = 'Write';
-                            } else {
-                                toolName = 'Read';
-                            }
-                        } else if (parameters.command) {
-                            toolName = 'Bash';
-                        } else if (parameters.pattern || parameters.query) {
-                            toolName = 'Grep';
-                        } else if (parameters.relative_workspace_path) {
-                            toolName = 'LS';
-                        }
-                        
-                        // Fallback to rawArgs analysis
-                        if (!toolName && toolData.rawArgs) {
-                            const rawArgs = String(toolData.rawArgs);
-                            if (rawArgs.includes('file_path') || rawArgs.includes('"path"')) {
-                                if (rawArgs.includes('old_string') || rawArgs.includes('new_string')) {
-                                    toolName = 'Edit';
-                                } else if (rawArgs.includes('content')) {
-                                    toolName = 'Write';
-                                } else {
-                                    toolName = 'Read';
-                                }
-                            } else if (rawArgs.includes('command')) {
-                                toolName = 'Bash';
-                            } else if (rawArgs.includes('pattern') || rawArgs.includes('query')) {
-                                toolName = 'Grep';
-                            } else if (rawArgs.includes('relative_workspace_path')) {
-                                toolName = 'LS';
-                            }
-                        }
-                        
-                        // If still no tool name, use the actual tool_name or make it descriptive
-                        if (!toolName) {
-                            // Always use the actual tool_name from Cursor if available
-                            if (toolData.tool_name && toolData.tool_name !== 'unknown_tool') {
-                                toolName = toolData.tool_name.replace(/_/g, ' ')
-                                    .replace(/\b\w/g, l => l.toUpperCase());
-                            } else if (toolData.tool_name === 'unknown_tool' || toolData.name === 'unknown_tool' || 
-                                toolData.toolName === 'unknown_tool' || 
-                                (toolData.rawArgs && String(toolData.rawArgs).includes('unknown_tool'))) {
-                                toolName = 'Unknown Tool';
-                            } else {
-                                // Last resort - show whatever tool identifier we have
-                                const fallbackName = toolData.tool_name || toolData.name || toolData.toolName;
-                                if (fallbackName) {
-                                    toolName = fallbackName.replace(/_/g, ' ')
-                                        .replace(/\b\w/g, l => l.toUpperCase());
-                                } else {
-                                    toolName = 'Tool (no name)';
-                                }
-                            }
-                        }
+                    // Name the tool through the registry: the recorded name, Cursor's numeric tool ID,
+                    // or, when neither was stored, the parameters it was called with
+                    let toolName = toolData.name && toolData.name !== 'unknown_tool' ? toolData.name : null;
+                    let tool = findTool(toolName);
+                    if (!toolName) {
+                        tool = findToolByCursorId(toolData.tool) || inferTool(parameters, toolData.rawArgs);
+                        toolName = tool ? tool.name : 'unknown_tool';
                     }
                     
                     // For edit_file tools, extract diff from result
                     let diffExtracted = false;
-                    if (toolName === 'edit_file' && toolData.result) {
+                    if (tool && tool.name === 'edit_file' && toolData.result) {
                         try {
                             const result = JSON.parse(toolData.result);
                             if (result.diff && result.diff.chunks) {
@@ -317,12 +290,20 @@ function reconstructConversation(composerId, bubbles, checkpoints, codeDiffs, co
                     
                     combinedContent.tool_calls.push({
                         tool_name: toolName,
+                        canonical_name: tool ? tool.name : null,
+                        category: tool ? tool.category : null,
                         parameters: parameters,
                         status: toolData.status,
                         result: toolData.result,
-                        raw_content: JSON.stringify(toolData, null, 2),
+                        raw_content: JSON.stringify(bubble.original.toolFormerData, null, 2),
                         diff_extracted: diffExtracted
                     });
+                    
+                    const fileOperation = getFileOperation(toolName);
+                    const filePath = getToolFilePath(toolName, parameters);
+                    if (fileOperation && filePath) {
+                        combinedContent.file_operations.push({ operation: fileOperation, path: filePath });
+                    }
                 }
                 
                 // Update timing info
@@ -367,12 +348,333 @@ function reconstructConversation(composerId, bubbles, checkpoints, codeDiffs, co
         composer_id: composerId,
         composer_data: composerData,
         messages: messages,
+        unordered_messages: unorderedMessages,
         code_diffs: composerCodeDiffs,
         checkpoints: composerCheckpoints,
-        request_ids: Array.from(requestIds)
+        request_ids: Array.from(requestIds),
+        files: getFilesTouched(messages),
+        schema: normalized.schema
     };
 }
 
+/**
+ * Parse the body of a <function_results> block into tool results
+ * Each <result> holds an optional <name> and an <output> or <error>; a block without
+ * <result> elements is read as a single result.
+ * @param {string} blockContent - Text between <function_results> and its closing tag
+ * @returns {Array<{tool_name: string|null, output: string, is_error: boolean, paired: boolean, raw_content: string}>}
+ */
+function parseFunctionResults(blockContent) {
+    const readTag = (text, tag) => {
+        const match = text.match(new RegExp(`<${tag}>([\\s\\S]*?)<\\/(?:antml:)?${tag}>`));
+        return match ? match[1].trim() : null;
+    };
+    const toToolResult = (text) => {
+        const error = readTag(text, 'error');
+        const output = readTag(text, 'output');
+        return {
+            tool_name: readTag(text, 'name'),
+            output: error !== null ? error : (output !== null ? output : text.trim()),
+            is_error: error !== null,
+            paired: false,
+            raw_content: text
+        };
+    };
+    
+    const resultPattern = /<result>([\s\S]*?)<\/(?:antml:)?result>/g;
+    const results = [];
+    let resultMatch;
+    
+    while ((resultMatch = resultPattern.exec(blockContent)) !== null) {
+        results.push(toToolResult(resultMatch[1]));
+    }
+    
+    if (results.length === 0 && blockContent.trim()) {
+        results.push(toToolResult(blockContent));
+    }
+    
+    return results;
+}
+
+/**
+ * Attach a tool result to the oldest unanswered tool call
+ * The call gets the output as `result` and a `status`; the result is flagged `paired` and
+ * takes the call's tool name when it has none.
+ * @param {Array<Object>} pendingCalls - Unanswered tool calls, oldest first; the paired call is removed
+ * @param {Object} toolResult - Tool result (see parseFunctionResults)
+ * @returns {boolean} True if the result was paired
+ */
+function pairToolResult(pendingCalls, toolResult) {
+    const toolCall = pendingCalls.shift();
+    if (!toolCall) return false;
+    
+    toolCall.result = toolResult.output;
+    toolCall.status = toolResult.is_error ? 'error' : 'completed';
+    toolResult.tool_name = toolResult.tool_name || toolCall.tool_name;
+    toolResult.paired = true;
+    return true;
+}
+
+// Fence languages for file extensions, used when a code citation names no language
+const EXTENSION_LANGUAGES = {
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'jsx',
+    ts: 'typescript', mts: 'typescript', cts: 'typescript', tsx: 'tsx',
+    py: 'python', rb: 'ruby', rs: 'rust', kt: 'kotlin', cs: 'csharp',
+    h: 'c', hpp: 'cpp', cc: 'cpp', sh: 'bash', zsh: 'bash', ps1: 'powershell',
+    yml: 'yaml', md: 'markdown', htm: 'html', vue: 'vue', svelte: 'svelte'
+};
+
+/**
+ * Parse the header of a code fence (the text after the opening backticks)
+ * Besides a plain language, Cursor writes `lang:path` for code from a file and
+ * `start:end:path` for a cited line range.
+ * @param {string} header - Fence header, e.g. 'ts:src/app.ts' or '12:40:src/app.ts'
+ * @returns {{language: string, file_path: string|null, start_line: number|null, end_line: number|null}|null}
+ *          Structured header, or null when the header is not a language or citation
+ */
+function parseCodeFenceHeader(header) {
+    const languageForPath = (filePath) => {
+        const extension = path.extname(filePath).substring(1).toLowerCase();
+        return EXTENSION_LANGUAGES[extension] || extension || 'text';
+    };
+    
+    const rangeMatch = header.match(/^(\d+):(\d+):(.+)$/);
+    if (rangeMatch) {
+        const filePath = rangeMatch[3].trim();
+        return {
+            language: languageForPath(filePath),
+            file_path: filePath,
+            start_line: parseInt(rangeMatch[1], 10),
+            end_line: parseInt(rangeMatch[2], 10)
+        };
+    }
+    
+    const fileMatch = header.match(/^([\w+#.-]+):(.+)$/);
+    if (fileMatch) {
+        return { language: fileMatch[1], file_path: fileMatch[2].trim(), start_line: null, end_line: null };
+    }
+    
+    if (/^[\w+#.-]+$/.test(header)) {
+        return { language: header, file_path: null, start_line: null, end_line: null };
+    }
+    
+    return header ? null : { language: 'text', file_path: null, start_line: null, end_line: null };
+}
+
+/**
+ * Parse message content to extract tool calls and other structured data
+ */
+function parseMessageContent(content) {
+    if (!content || typeof content !== 'string') {
+        return {
+            text: '',
+            tool_calls: [],
+            tool_results: [],
+            thinking_blocks: [],
+            code_blocks: [],
+            file_operations: []
+        };
+    }
+    
+    const parsed = {
+        text: content,
+        tool_calls: [],
+        tool_results: [],
+        thinking_blocks: [],
+        code_blocks: [],
+        file_operations: []
+    };
+    
+    // Extract Claude's function calls format, and the function results that answer them
+    // Results are paired with the earliest unanswered call before them, in document order
+    const functionBlockPattern = /<function_calls>([\s\S]*?)<\/antml:function_calls>|<function_results>([\s\S]*?)<\/(?:antml:)?function_results>/g;
+    const pendingCalls = [];
+    let functionBlockMatch;
+    
+    while ((functionBlockMatch = functionBlockPattern.exec(content)) !== null) {
+        if (functionBlockMatch[1] === undefined) {
+            for (const toolResult of parseFunctionResults(functionBlockMatch[2])) {
+                pairToolResult(pendingCalls, toolResult);
+                parsed.tool_results.push(toolResult);
+            }
+            continue;
+        }
+        
+        const functionCallsContent = functionBlockMatch[1];
+        
+        // Extract individual function invocations
+        const invokePattern = /<invoke name="([^"]+)">([\s\S]*?)<\/antml:invoke>/g;
+        let invokeMatch;
+        
+        while ((invokeMatch = invokePattern.exec(functionCallsContent)) !== null) {
+            const toolName = invokeMatch[1];
+            const parametersContent = invokeMatch[2];
+            
+            // Parse parameters
+            const parameters = {};
+            const paramPattern = /<parameter name="([^"]+)">([\s\S]*?)<\/antml:parameter>/g;
+            let paramMatch;
+            
+            while ((paramMatch = paramPattern.exec(parametersContent)) !== null) {
+                parameters[paramMatch[1]] = paramMatch[2];
+            }
+            
+            const toolCall = {
+                tool_name: toolName,
+                parameters: parameters,
+                raw_content: invokeMatch[0],
+                inline: true
+            };
+            parsed.tool_calls.push(toolCall);
+            pendingCalls.push(toolCall);
+        }
+    }
+    
+    // Extract thinking blocks
+    const thinkingPattern = /<thinking>([\s\S]*?)<\/antml:thinking>/g;
+    let thinkingMatch;
+    
+    while ((thinkingMatch = thinkingPattern.exec(content)) !== null) {
+        parsed.thinking_blocks.push(thinkingMatch[1].trim());
+    }
+    
+    // Extract code blocks, including Cursor's ```lang:path and ```start:end:path citations
+    const codePattern = /```([^\n`]*)\n?([\s\S]*?)```/g;
+    let codeMatch;
+    
+    while ((codeMatch = codePattern.exec(content)) !== null) {
+        const header = codeMatch[1].trim();
+        const fence = parseCodeFenceHeader(header);
+        let code = codeMatch[2] || '';
+        
+        // Handle "```code```" on one line: the header was the code itself
+        if (!fence && !code.trim()) {
+            code = header;
+        }
+        
+        parsed.code_blocks.push({
+            ...(fence || { language: 'text', file_path: null, start_line: null, end_line: null }),
+            code: code.trim()
+        });
+    }
+    
+    // Extract file operations from tool calls, whichever tool naming the trace uses
+    for (const toolCall of parsed.tool_calls) {
+        const operation = getFileOperation(toolCall.tool_name);
+        const filePath = getToolFilePath(toolCall.tool_name, toolCall.parameters);
+        if (operation && filePath) {
+            parsed.file_operations.push({
+                operation,
+                path: filePath
+            });
+        }
+    }
+    
+    return parsed;
+}
+
+/**
+ * Pair the tool results a text left unpaired with inline calls still unanswered from earlier
+ * texts (a result usually arrives in the message after its call), then queue the text's own
+ * unanswered calls
+ * @param {Array<Object>} pendingToolCalls - Unanswered inline tool calls of the conversation, oldest first
+ * @param {Object} parsed - parseMessageContent result for one bubble
+ */
+function carryOverToolResults(pendingToolCalls, parsed) {
+    parsed.tool_results
+        .filter(toolResult => !toolResult.paired)
+        .forEach(toolResult => pairToolResult(pendingToolCalls, toolResult));
+    pendingToolCalls.push(...parsed.tool_calls.filter(toolCall => toolCall.inline && toolCall.status === undefined));
+}
+
+/**
+ * Get a file path from any of the shapes Cursor uses to reference a file or folder
+ * @param {Object|string} reference - Path string, or an object with a uri or path field
+ * @returns {string|null} Path, preferring the workspace-relative one
+ */
+function getReferencePath(reference) {
+    if (!reference) return null;
+    if (typeof reference === 'string') return reference;
+    
+    const uri = reference.uri || {};
+    return reference.relativeWorkspacePath || reference.relativePath || uri.fsPath || uri.path ||
+        reference.path || reference.filePath || reference.fsPath || null;
+}
+
+/**
+ * Extract the context attached to a user bubble: files, folders, selections, code chunks,
+ * docs, web links, terminal output and rules
+ * Cursor has stored these in the bubble's `context` object, `attachedCodeChunks`,
+ * `relevantFiles` and `attachedFolders`; entries found in several places are kept once.
+ * @param {Object} bubble - Normalized bubble
+ * @returns {Array<Object>} Entries {type, path, name, url, start_line, end_line, text}, fields
+ *          present only when known; type is 'file', 'folder', 'selection', 'code', 'doc',
+ *          'link', 'terminal' or 'rule'
+ */
+function extractBubbleContext(bubble) {
+    const context = bubble.context && typeof bubble.context === 'object' ? bubble.context : {};
+    const entries = [];
+    const seen = new Set();
+    
+    const asArray = (value) => Array.isArray(value) ? value : [];
+    const add = (entry) => {
+        const cleaned = Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+        const key = JSON.stringify([cleaned.type, cleaned.path, cleaned.url, cleaned.name, cleaned.start_line, cleaned.text]);
+        if (Object.keys(cleaned).length > 1 && !seen.has(key)) {
+            seen.add(key);
+            entries.push(cleaned);
+        }
+    };
+    
+    for (const file of [...asArray(context.fileSelections), ...asArray(bubble.relevantFiles)]) {
+        add({ type: 'file', path: getReferencePath(file) });
+    }
+    
+    for (const folder of [...asArray(context.folderSelections), ...asArray(bubble.attachedFolders)]) {
+        add({ type: 'folder', path: getReferencePath(folder) });
+    }
+    
+    for (const selection of asArray(context.selections)) {
+        const range = selection.range || {};
+        add({
+            type: 'selection',
+            path: getReferencePath(selection),
+            start_line: range.selectionStartLineNumber || range.startLineNumber,
+            end_line: range.positionLineNumber || range.endLineNumber,
+            text: selection.text || selection.rawText
+        });
+    }
+    
+    for (const chunk of asArray(bubble.attachedCodeChunks)) {
+        const lines = Array.isArray(chunk.lines) ? chunk.lines : null;
+        add({
+            type: 'code',
+            path: getReferencePath(chunk),
+            start_line: chunk.startLineNumber,
+            end_line: lines && chunk.startLineNumber ? chunk.startLineNumber + lines.length - 1 : chunk.endLineNumber,
+            text: lines ? lines.join('\n') : chunk.content
+        });
+    }
+    
+    for (const doc of asArray(context.selectedDocs)) {
+        add({ type: 'doc', name: doc.name || doc.docId, url: doc.url });
+    }
+    
+    for (const link of asArray(context.externalLinks)) {
+        add({ type: 'link', url: typeof link === 'string' ? link : link.url });
+    }
+    
+    for (const terminal of [...asArray(context.terminalSelections), ...asArray(context.terminalFiles)]) {
+        add({ type: 'terminal', path: terminal.path || undefined, text: terminal.text || terminal.content });
+    }
+    
+    for (const rule of asArray(context.cursorRules)) {
+        add({ type: 'rule', name: rule.filename || rule.name, path: getReferencePath(rule) });
+    }
+    
+    return entries;
+}
+
 /**
  * Get the latest timestamp across all messages in a conversation
  */
@@ -477,6 +779,7 @@ function getLatestTimestampForComposer(composerId, bubbles, composerData) {
  */
 function getConversationSummary(conversation) {
     const title = conversation.composer_data?.name || 'Untitled Conversation';
+    const model = conversation.composer_data?.modelConfig?.modelName || null;
     const messageCount = conversation.messages.length;
     const userMessages = conversation.messages.filter(m => m.type === 'user').length;
     const assistantMessages = conversation.messages.filter(m => m.type === 'assistant').length;
@@ -549,6 +852,7 @@ function getConversationSummary(conversation) {
         id: conversation.composer_id,
         title,
         preview,
+        model,
         messageCount,
         userMessages,
         assistantMessages,
@@ -557,9 +861,66 @@ function getConversationSummary(conversation) {
     };
 }
 
+/**
+ * Get a conversation summary from composer metadata alone, without loading its bubbles
+ * Message counts are estimated from the conversation headers (a user bubble, or a run of
+ * assistant bubbles, counts as one message). Returns null when the metadata has no headers
+ * or no usable timestamp; callers then load the full conversation and use getConversationSummary.
+ * @param {string} composerId - Composer ID
+ * @param {Object} composerData - composerData row
+ * @param {Object|null} firstUserBubble - First user bubble, used for the preview
+ * @returns {Object|null} Summary with `conversation: null`, or null
+ */
+function getComposerSummary(composerId, composerData, firstUserBubble = null) {
+    const headers = composerData?.fullConversationHeadersOnly || [];
+    if (headers.length === 0) {
+        return null;
+    }
+    
+    const timestampFields = ['lastUpdatedAt', 'updatedAt', 'updated_at', 'lastModified', 'createdAt', 'created_at', 'timestamp'];
+    const timestampField = timestampFields.find(field => composerData[field] > 0);
+    const lastMessageTime = timestampField ? new Date(composerData[timestampField]) : null;
+    if (!lastMessageTime || lastMessageTime.getFullYear() <= 2020) {
+        return null;
+    }
+    
+    let userMessages = 0;
+    let assistantMessages = 0;
+    let previousType = null;
+    for (const header of headers) {
+        if (header.type === 1) {
+            userMessages++;
+        } else if (previousType !== 2) {
+            assistantMessages++;
+        }
+        previousType = header.type === 1 ? 1 : 2;
+    }
+    
+    const previewText = firstUserBubble?.text || '';
+    const preview = previewText ? 
+        previewText.substring(0, 100).replace(/\n/g, ' ') + '...' : 
+        'No messages';
+    
+    return {
+        id: composerId,
+        title: composerData.name || 'Untitled Conversation',
+        preview,
+        model: composerData.modelConfig?.modelName || null,
+        messageCount: userMessages + assistantMessages,
+        userMessages,
+        assistantMessages,
+        lastMessageTime,
+        conversation: null
+    };
+}
+
 module.exports = {
     reconstructConversation,
+    parseMessageContent,
+    parseCodeFenceHeader,
+    pairToolResult,
     getConversationSummary,
+    getComposerSummary,
     getLatestTimestampForComposer,
     getLatestTimestampFromMessages
 };
\ No newline at end of file
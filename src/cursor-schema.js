@@ -0,0 +1,198 @@
+/**
+ * Schema adapters for Cursor's composerData and bubble rows
+ * Cursor versions its rows with a `_v` field and changes their shape between releases:
+ * older composers keep their bubbles inline in `conversation`, newer ones list
+ * `fullConversationHeadersOnly` and store each bubble in its own `bubbleId:` row; bubble
+ * timestamps moved from numeric `timestamp` to ISO `createdAt`; toolFormerData names its
+ * fields differently across releases. The adapters below normalize every known shape into
+ * the one model reconstructConversation works with, and record versions they do not know.
+ */
+
+// `_v` values whose shape the adapters understand; unversioned rows are read as the oldest shape
+const KNOWN_VERSIONS = {
+    composerData: [1, 2, 3],
+    bubble: [1, 2, 3]
+};
+
+/**
+ * Get the schema version of a row
+ * @param {Object} row - Parsed composerData or bubble
+ * @returns {number|null} `_v` value, or null for unversioned rows
+ */
+function getSchemaVersion(row) {
+    return row && row._v !== undefined && row._v !== null ? row._v : null;
+}
+
+/**
+ * Check whether the adapters understand a row's schema version
+ * @param {string} kind - 'composerData' or 'bubble'
+ * @param {Object} row - Parsed row
+ * @returns {boolean} True for known and unversioned rows
+ */
+function isKnownVersion(kind, row) {
+    const version = getSchemaVersion(row);
+    return version === null || KNOWN_VERSIONS[kind].includes(version);
+}
+
+/**
+ * Count a row with an unknown schema version in store stats
+ * @param {Object} stats - Counters; `unknownVersions[kind][version]` is incremented
+ * @param {string} kind - 'composerData' or 'bubble'
+ * @param {Object} row - Parsed row
+ */
+function recordSchemaVersion(stats, kind, row) {
+    if (isKnownVersion(kind, row)) return;
+
+    const versions = stats.unknownVersions[kind] || (stats.unknownVersions[kind] = {});
+    const version = getSchemaVersion(row);
+    versions[version] = (versions[version] || 0) + 1;
+}
+
+/**
+ * Describe the unknown schema versions counted in store stats
+ * @param {Object} stats - Store stats (see recordSchemaVersion)
+ * @returns {Array<string>} One warning line per row kind, empty when every version was known
+ */
+function describeUnknownVersions(stats) {
+    return Object.entries(stats.unknownVersions || {}).map(([kind, versions]) => {
+        const count = Object.values(versions).reduce((sum, n) => sum + n, 0);
+        return `${count} Cursor ${kind} rows use unknown schema version ${Object.keys(versions).sort((a, b) => a - b).join(', ')} ` +
+            `(known: ${KNOWN_VERSIONS[kind].join(', ')}); unrecognised fields may be missing from exports`;
+    });
+}
+
+/**
+ * Convert a timestamp in any of the formats Cursor has used to milliseconds
+ * @param {number|string|undefined} value - Epoch milliseconds or an ISO date string
+ * @returns {number} Milliseconds, 0 when missing or invalid
+ */
+function toMillis(value) {
+    if (typeof value === 'number') return value > 0 ? value : 0;
+    if (typeof value === 'string' && value) {
+        const parsed = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+        return isNaN(parsed) ? 0 : parsed;
+    }
+    return 0;
+}
+
+/**
+ * Normalize the bubble type: 1 for user bubbles, 2 for everything the assistant produced
+ * @param {number|string} type - Numeric type, or 'user'/'ai' in older rows
+ * @returns {number} 1 or 2
+ */
+function normalizeBubbleType(type) {
+    return type === 1 || type === 'user' || type === 'human' ? 1 : 2;
+}
+
+/**
+ * Normalize toolFormerData into {name, rawArgs, status, result}
+ * `name` may be stored as name/toolName/tool_name (`tool` holds a numeric enum in recent releases),
+ * arguments as rawArgs/params/args and the result as a string or an object.
+ * @param {Object|undefined} toolData - Raw toolFormerData
+ * @returns {Object|undefined} Normalized tool data, keeping every original field
+ */
+function normalizeToolFormerData(toolData) {
+    if (!toolData || typeof toolData !== 'object') return undefined;
+
+    const name = [toolData.name, toolData.toolName, toolData.tool_name, toolData.tool]
+        .find(value => typeof value === 'string' && value);
+    const rawArgs = toolData.rawArgs !== undefined ? toolData.rawArgs : (toolData.params !== undefined ? toolData.params : toolData.args);
+    const result = toolData.result !== undefined && toolData.result !== null && typeof toolData.result !== 'string'
+        ? JSON.stringify(toolData.result)
+        : toolData.result;
+
+    return { ...toolData, name, rawArgs, result };
+}
+
+/**
+ * Normalize one bubble into {id, type, text, timestamp, thinking, toolFormerData, ...}
+ * Every other field is kept as is; `original` holds the row as stored.
+ * @param {string} bubbleId - Bubble ID
+ * @param {Object} bubble - Raw bubble
+ * @returns {Object} Normalized bubble
+ */
+function normalizeBubble(bubbleId, bubble) {
+    const thinking = typeof bubble.thinking === 'string' ? { text: bubble.thinking } : bubble.thinking;
+
+    return {
+        ...bubble,
+        id: bubbleId,
+        type: normalizeBubbleType(bubble.type),
+        text: bubble.text || bubble.rawText || '',
+        timestamp: toMillis(bubble.timestamp) || toMillis(bubble.createdAt),
+        thinking: thinking || undefined,
+        toolFormerData: normalizeToolFormerData(bubble.toolFormerData),
+        original: bubble
+    };
+}
+
+/**
+ * Normalize a composer and its bubbles into the internal model
+ * Bubbles stored inline in `composerData.conversation` are merged with the `bubbleId:` rows
+ * (the rows win), and headers are derived from the inline order when the composer has none.
+ * @param {string} composerId - Composer ID
+ * @param {Object} composerData - Raw composerData
+ * @param {Object} composerBubbles - bubbleId -> raw bubble
+ * @returns {{composerData: Object, bubbles: Object, schema: Object}} Normalized composerData
+ *          (with `fullConversationHeadersOnly`), normalized bubbles, and the schema diagnostic:
+ *          {composer_version, bubble_versions, layout, unknown_versions}
+ */
+function normalizeComposer(composerId, composerData, composerBubbles) {
+    const inline = Array.isArray(composerData.conversation) ? composerData.conversation : [];
+    const rawBubbles = {};
+    inline.forEach((bubble, index) => {
+        rawBubbles[bubble.bubbleId || bubble.id || `inline-${index}`] = bubble;
+    });
+    Object.assign(rawBubbles, composerBubbles);
+
+    const bubbles = {};
+    const bubbleVersions = new Set();
+    const unknownVersions = [];
+    for (const [bubbleId, bubble] of Object.entries(rawBubbles)) {
+        bubbles[bubbleId] = normalizeBubble(bubbleId, bubble);
+
+        const version = getSchemaVersion(bubble);
+        if (version !== null) bubbleVersions.add(version);
+        if (!isKnownVersion('bubble', bubble) && !unknownVersions.some(entry => entry.kind === 'bubble' && entry.version === version)) {
+            unknownVersions.push({ kind: 'bubble', version });
+        }
+    }
+
+    let headers = composerData.fullConversationHeadersOnly || [];
+    let layout = 'headers';
+    if (headers.length === 0 && inline.length > 0) {
+        headers = inline.map((bubble, index) => ({
+            bubbleId: bubble.bubbleId || bubble.id || `inline-${index}`,
+            type: normalizeBubbleType(bubble.type)
+        }));
+        layout = 'inline';
+    } else if (headers.length === 0) {
+        layout = 'unordered';
+    }
+
+    if (!isKnownVersion('composerData', composerData)) {
+        unknownVersions.unshift({ kind: 'composerData', version: getSchemaVersion(composerData) });
+    }
+
+    return {
+        composerData: { ...composerData, fullConversationHeadersOnly: headers },
+        bubbles,
+        schema: {
+            composer_version: getSchemaVersion(composerData),
+            bubble_versions: Array.from(bubbleVersions).sort((a, b) => a - b),
+            layout,
+            unknown_versions: unknownVersions
+        }
+    };
+}
+
+module.exports = {
+    KNOWN_VERSIONS,
+    getSchemaVersion,
+    isKnownVersion,
+    recordSchemaVersion,
+    describeUnknownVersions,
+    normalizeBubble,
+    normalizeToolFormerData,
+    normalizeComposer
+};
@@ -0,0 +1,333 @@
+const { openCursorDatabase, resolveCursorDatabases, allRows, isLockError } = require('./extractor');
+const { DbLockedError, DbUnreadableError, SchemaChangedError, describeError } = require('./errors');
+const { LEGACY_ITEM_KEYS, isLegacyId, readLegacyConversations } = require('./legacy-chat');
+const { recordSchemaVersion } = require('./cursor-schema');
+const { isDumpFile, openDumpDatabase } = require('./dump');
+
+/**
+ * Per-conversation access to Cursor's cursorDiskKV table
+ * Listing reads only the `composerData:*` rows; bubbles, checkpoints and code diffs of a
+ * composer are fetched on demand with key-range queries, which use the table's key index
+ * instead of scanning and parsing every row the way extractCursorDiskKV does.
+ * Chats from Cursor versions that predate composers live in ItemTable instead; they are read
+ * once per store (see legacy-chat.js) and served alongside the composers.
+ */
+
+// Row kinds stored per composer, keyed `<prefix>:<composerId>:<itemId>`
+const COMPOSER_ROW_KINDS = {
+    bubbles: 'bubbleId',
+    checkpoints: 'checkpointId',
+    codeDiffs: 'codeBlockDiff'
+};
+
+/**
+ * Get the [lower, upper) key range that covers every key starting with a prefix
+ * @param {string} prefix - Key prefix, e.g. `bubbleId:<composerId>:`
+ * @returns {Array<string>} Lower (inclusive) and upper (exclusive) bounds
+ */
+function prefixRange(prefix) {
+    const lastChar = prefix.charCodeAt(prefix.length - 1);
+    return [prefix, prefix.slice(0, -1) + String.fromCharCode(lastChar + 1)];
+}
+
+/**
+ * Parse a JSON row value, returning undefined for empty or malformed values
+ * @param {string} value - Raw row value
+ * @param {Object} stats - Counters; `parseFailures` is incremented for malformed values
+ * @returns {*} Parsed value or undefined
+ */
+function parseRowValue(value, stats) {
+    if (!value) return undefined;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        stats.parseFailures++;
+        return undefined;
+    }
+}
+
+/**
+ * Build placeholder composerData for bubbles whose composerData row is missing or unreadable
+ * Without headers, reconstructConversation orders the recovered bubbles by timestamp.
+ * @param {string} composerId - Composer ID taken from the bubble keys
+ * @returns {Object} Synthetic composerData, flagged `recovered: true`
+ */
+function createRecoveredComposerData(composerId) {
+    return {
+        composerId,
+        name: `Recovered conversation ${composerId.substring(0, 8)}`,
+        recovered: true,
+        fullConversationHeadersOnly: []
+    };
+}
+
+/**
+ * Open the Cursor database for per-conversation reads
+ * The store keeps the database open (see openCursorDatabase) until close() is called.
+ * A conversation dump (see dump.js) is accepted in place of a state.vscdb.
+ * @param {string|null} dbPath - Optional explicit path to a state.vscdb file
+ * @param {Object|null} extensionContext - Optional VS Code extension context for dynamic path detection
+ * @param {boolean} recover - Also serve orphaned bubbles (no readable composerData row) as recovered conversations
+ * @returns {Promise<Object>} Store; `stats.parseFailures` counts rows skipped because they were not valid JSON,
+ *          `stats.unknownVersions` rows whose schema version is unknown (see cursor-schema.js),
+ *          `stats.recovered` conversations rebuilt from orphaned bubbles
+ * @throws {DbNotFoundError|SchemaChangedError|DbLockedError|DbUnreadableError} When the database cannot be read
+ */
+async function openCursorStore(dbPath = null, extensionContext = null, recover = false) {
+    const connection = dbPath && isDumpFile(dbPath)
+        ? await openDumpDatabase(dbPath)
+        : await openCursorDatabase(dbPath, extensionContext);
+    const stats = { parseFailures: 0, unknownVersions: {}, recovered: 0 };
+
+    const all = async (sql, params) => {
+        try {
+            return await allRows(connection.db, sql, params);
+        } catch (error) {
+            throw isLockError(error)
+                ? new DbLockedError(connection.dbPath, error.message)
+                : new DbUnreadableError(connection.dbPath, error.message);
+        }
+    };
+
+    const selectPrefix = (prefix) => all(
+        `SELECT key, value FROM cursorDiskKV WHERE key >= ? AND key < ? ORDER BY key`,
+        prefixRange(prefix)
+    );
+
+    /**
+     * Find the composers that have bubble rows but no readable composerData row
+     * @param {Object} composers - composerId -> composerData of the readable composers
+     * @returns {Promise<Array<string>>} Orphaned composer IDs
+     */
+    const listOrphanComposerIds = async (composers) => {
+        const idStart = 'bubbleId:'.length + 1;
+        const rows = await all(
+            `SELECT DISTINCT substr(key, ?, instr(substr(key, ?), ':') - 1) AS composerId
+             FROM cursorDiskKV WHERE key >= ? AND key < ?`,
+            [idStart, idStart, ...prefixRange('bubbleId:')]
+        );
+        return rows.map(row => row.composerId).filter(composerId => composerId && !composers[composerId]);
+    };
+
+    /**
+     * Read every composer's metadata, without any bubbles
+     * In recovery mode, orphaned bubbles are listed as well, under placeholder composerData.
+     * @returns {Promise<Object>} composerId -> composerData
+     * @throws {SchemaChangedError} When composerData rows exist but none of them can be parsed (and nothing was recovered)
+     */
+    const listComposers = async () => {
+        const composers = {};
+        const rows = await selectPrefix('composerData:');
+        const failuresBefore = stats.parseFailures;
+
+        for (const { key, value } of rows) {
+            const composerData = parseRowValue(value, stats);
+            if (composerData !== undefined) {
+                composers[key.slice('composerData:'.length)] = composerData;
+                recordSchemaVersion(stats, 'composerData', composerData);
+            }
+        }
+
+        if (recover) {
+            const orphanIds = await listOrphanComposerIds(composers);
+            orphanIds.forEach(composerId => {
+                composers[composerId] = createRecoveredComposerData(composerId);
+            });
+            stats.recovered = orphanIds.length;
+        }
+
+        const failures = stats.parseFailures - failuresBefore;
+        if (failures > 0 && Object.keys(composers).length === 0) {
+            const error = new SchemaChangedError(connection.dbPath, 'no composerData row could be parsed');
+            error.parseFailures = failures;
+            throw error;
+        }
+        return composers;
+    };
+
+    /**
+     * Read a single bubble
+     * @param {string} composerId - Composer ID
+     * @param {string} bubbleId - Bubble ID
+     * @returns {Promise<Object|null>} Parsed bubble or null
+     */
+    const getBubble = async (composerId, bubbleId) => {
+        const rows = await all(`SELECT value FROM cursorDiskKV WHERE key = ?`, [`bubbleId:${composerId}:${bubbleId}`]);
+        return rows.length > 0 ? (parseRowValue(rows[0].value, stats) || null) : null;
+    };
+
+    let legacyConversations = null;
+
+    /**
+     * Read the pre-composer chats stored in ItemTable
+     * @returns {Promise<Array<Object>>} Legacy conversations ({composerId, composerData, extractedData}),
+     *          empty when the database has none
+     */
+    const listLegacyConversations = async () => {
+        if (legacyConversations) return legacyConversations;
+
+        let rows;
+        try {
+            rows = await allRows(connection.db,
+                `SELECT key, value FROM ItemTable WHERE key IN (${LEGACY_ITEM_KEYS.map(() => '?').join(', ')})`,
+                LEGACY_ITEM_KEYS);
+        } catch (error) {
+            if (!/no such table/i.test(error.message)) {
+                throw isLockError(error)
+                    ? new DbLockedError(connection.dbPath, error.message)
+                    : new DbUnreadableError(connection.dbPath, error.message);
+            }
+            rows = [];
+        }
+
+        const items = {};
+        for (const { key, value } of rows) {
+            const item = parseRowValue(Buffer.isBuffer(value) ? value.toString('utf8') : value, stats);
+            if (item !== undefined) items[key] = item;
+        }
+        legacyConversations = readLegacyConversations(items);
+        return legacyConversations;
+    };
+
+    /**
+     * Read one composer's rows, shaped like extractCursorDiskKV's result so it can be passed
+     * straight to reconstructConversation and hashCursorSource
+     * @param {string} composerId - Composer ID (legacy conversation IDs are accepted too)
+     * @param {Object|null} composerData - Already-read composerData, fetched when omitted
+     * @returns {Promise<Object|null>} {composers, bubbles, checkpoints, codeDiffs} for this composer, or null if unknown
+     */
+    const loadComposer = async (composerId, composerData = null) => {
+        if (isLegacyId(composerId)) {
+            const legacy = (await listLegacyConversations()).find(entry => entry.composerId === composerId);
+            return legacy ? legacy.extractedData : null;
+        }
+
+        if (!composerData) {
+            const rows = await all(`SELECT value FROM cursorDiskKV WHERE key = ?`, [`composerData:${composerId}`]);
+            composerData = rows.length > 0 ? parseRowValue(rows[0].value, stats) : undefined;
+            if (composerData === undefined) {
+                if (!recover) return null;
+                composerData = createRecoveredComposerData(composerId);
+            }
+        }
+
+        const extractedData = { composers: { [composerId]: composerData } };
+        for (const [kind, prefix] of Object.entries(COMPOSER_ROW_KINDS)) {
+            const items = {};
+            const keyPrefix = `${prefix}:${composerId}:`;
+            for (const { key, value } of await selectPrefix(keyPrefix)) {
+                const item = parseRowValue(value, stats);
+                if (item !== undefined) {
+                    items[key.slice(keyPrefix.length)] = item;
+                    if (kind === 'bubbles') recordSchemaVersion(stats, 'bubble', item);
+                }
+            }
+            extractedData[kind] = { [composerId]: items };
+        }
+        if (composerData.recovered && Object.keys(extractedData.bubbles[composerId]).length === 0) {
+            return null;
+        }
+        return extractedData;
+    };
+
+    /**
+     * Read the rows behind one conversation exactly as stored
+     * Legacy conversations are backed by the ItemTable rows of every legacy chat. An orphaned
+     * composer, whose composerData row is gone, is dumped from the bubble, checkpoint and diff rows left.
+     * @param {string} composerId - Composer ID
+     * @returns {Promise<Array<{table: string, key: string, value: string}>|null>} Rows, or null if unknown
+     */
+    const getRawRows = async (composerId) => {
+        const toRow = (table) => ({ key, value }) => ({
+            table,
+            key,
+            value: Buffer.isBuffer(value) ? value.toString('utf8') : value
+        });
+
+        if (isLegacyId(composerId)) {
+            if (!(await listLegacyConversations()).some(entry => entry.composerId === composerId)) return null;
+            const rows = await all(
+                `SELECT key, value FROM ItemTable WHERE key IN (${LEGACY_ITEM_KEYS.map(() => '?').join(', ')}) ORDER BY key`,
+                LEGACY_ITEM_KEYS);
+            return rows.map(toRow('ItemTable'));
+        }
+
+        const rows = (await all(`SELECT key, value FROM cursorDiskKV WHERE key = ?`, [`composerData:${composerId}`]))
+            .map(toRow('cursorDiskKV'));
+        for (const prefix of Object.values(COMPOSER_ROW_KINDS)) {
+            rows.push(...(await selectPrefix(`${prefix}:${composerId}:`)).map(toRow('cursorDiskKV')));
+        }
+        return rows.length > 0 ? rows : null;
+    };
+
+    /**
+     * Iterate over all composers, loading one composer's rows at a time, then over the legacy chats
+     * @yields {{composerId: string, composerData: Object, extractedData: Object}}
+     */
+    async function* conversations() {
+        for (const [composerId, composerData] of Object.entries(await listComposers())) {
+            yield { composerId, composerData, extractedData: await loadComposer(composerId, composerData) };
+        }
+        yield* await listLegacyConversations();
+    }
+
+    return {
+        dbPath: connection.dbPath,
+        strategy: connection.strategy,
+        stats,
+        listComposers,
+        listLegacyConversations,
+        getBubble,
+        loadComposer,
+        getRawRows,
+        conversations,
+        close: connection.close
+    };
+}
+
+/**
+ * Open each selected Cursor database in turn
+ * Each store is closed once the caller moves on to the next one or leaves the loop.
+ * When several databases are read (`ide: 'all'`, profiles), one that cannot be opened is logged and skipped.
+ * @param {Object} options - Selection options
+ * @param {string|null} options.dbPath - Optional explicit path to a state.vscdb file
+ * @param {Object|null} options.extensionContext - Optional VS Code extension context
+ * @param {string|null} options.ide - Optional installation ID or 'all'
+ * @param {Array<string>|null} options.userDataDirs - Optional explicit user-data directories
+ * @param {boolean} options.recover - Also serve orphaned bubbles as recovered conversations
+ * @param {Object|null} options.outputChannel - Optional output channel for logging
+ * @param {Function|null} options.onSkip - Optional callback (dbPath, error) for a database that was skipped
+ * @yields {{store: Object, installation: Object|null, profile: string}} Open store and the installation
+ *         and profile it belongs to
+ * @throws {DbNotFoundError|SchemaChangedError|DbLockedError|DbUnreadableError} When the only database cannot be read
+ */
+async function* openCursorStores({ dbPath = null, extensionContext = null, ide = null, userDataDirs = null, recover = false, outputChannel = null, onSkip = null }) {
+    const log = (message) => outputChannel ? outputChannel.appendLine(message) : console.warn(message);
+    const databases = resolveCursorDatabases(dbPath, extensionContext, ide, userDataDirs);
+
+    for (const database of databases) {
+        let store;
+        try {
+            store = await openCursorStore(database.dbPath, extensionContext, recover);
+        } catch (error) {
+            if (databases.length === 1) throw error;
+            const [message, ...details] = describeError(error);
+            log(`WARNING: Skipping ${database.dbPath}: ${message}`);
+            details.forEach(line => log(`  ${line}`));
+            if (onSkip) onSkip(database.dbPath, error);
+            continue;
+        }
+
+        try {
+            yield { store, installation: database.installation, profile: database.profile };
+        } finally {
+            await store.close();
+        }
+    }
+}
+
+module.exports = {
+    prefixRange,
+    openCursorStore,
+    openCursorStores
+};
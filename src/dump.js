@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const sqlite3 = require('sqlite3');
+const { openSqlite, closeSqlite, runStatement } = require('./extractor');
+const { SchemaChangedError, DbUnreadableError } = require('./errors');
+
+/**
+ * Raw row dumps of single conversations, for bug reports
+ * A dump holds the database rows behind one conversation verbatim (`composerData:`, `bubbleId:`,
+ * `checkpointId:` and `codeBlockDiff:` rows, or the ItemTable rows of a legacy chat). Passing a
+ * dump file wherever a state.vscdb is accepted (`--db`, TRACE_EXTRACTOR_DB) loads it into an
+ * in-memory database with the same tables, so the report can be reproduced with any command.
+ */
+
+const DUMP_FORMAT = 'trace-extractor-dump';
+const DUMP_VERSION = 1;
+
+// Tables a dump may contain rows of
+const DUMP_TABLES = ['cursorDiskKV', 'ItemTable'];
+
+// Keys whose string values describe structure rather than conversation content, kept when redacting
+const STRUCTURAL_KEYS = new Set([
+    '_v', 'id', 'type', 'bubbleId', 'composerId', 'serverBubbleId', 'usageUuid', 'requestId', 'toolCallId',
+    'generationUUID', 'tabId', 'status', 'tool', 'toolName', 'tool_name', 'modelName', 'modelType',
+    'unifiedMode', 'forceMode', 'commandType', 'createdAt', 'lastUpdatedAt'
+]);
+
+/**
+ * Replace conversation content in a parsed value, keeping its structure
+ * Strings holding JSON (tool arguments and results) are redacted field by field.
+ * @param {*} value - Parsed value
+ * @param {string|null} key - Key the value is stored under
+ * @param {string|null} parentKey - Key of the enclosing object
+ * @returns {*} Redacted value
+ */
+function redactValue(value, key = null, parentKey = null) {
+    if (Array.isArray(value)) {
+        return value.map(item => redactValue(item, key, parentKey));
+    }
+    if (value && typeof value === 'object') {
+        const redacted = {};
+        for (const [childKey, childValue] of Object.entries(value)) {
+            redacted[childKey] = redactValue(childValue, childKey, key);
+        }
+        return redacted;
+    }
+    if (typeof value !== 'string' || value === '') {
+        return value;
+    }
+    if (STRUCTURAL_KEYS.has(key) || (key === 'name' && parentKey === 'toolFormerData')) {
+        return value;
+    }
+    if (/^\s*[[{]/.test(value)) {
+        try {
+            return JSON.stringify(redactValue(JSON.parse(value), key, parentKey));
+        } catch (error) {
+            // Not JSON after all
+        }
+    }
+    return `[redacted: ${value.length} chars]`;
+}
+
+/**
+ * Redact one raw row value
+ * @param {string} value - Raw row value (usually JSON text)
+ * @returns {string} Redacted value
+ */
+function redactRowValue(value) {
+    try {
+        return JSON.stringify(redactValue(JSON.parse(value)));
+    } catch (error) {
+        return `[redacted: ${String(value).length} chars]`;
+    }
+}
+
+/**
+ * Build a dump document
+ * @param {string} composerId - Composer ID of the dumped conversation
+ * @param {Array<{table: string, key: string, value: string}>} rows - Raw rows
+ * @param {Object} source - Where the rows came from ({dbPath, ide, profile})
+ * @param {boolean} redact - Replace conversation content (and the home directory in paths) with placeholders
+ * @returns {Object} Dump document, ready for JSON.stringify
+ */
+function createDump(composerId, rows, source, redact = false) {
+    const homeDir = os.homedir();
+
+    return {
+        format: DUMP_FORMAT,
+        version: DUMP_VERSION,
+        composerId,
+        createdAt: new Date().toISOString(),
+        redacted: redact,
+        source: {
+            ...source,
+            dbPath: redact && source.dbPath.startsWith(homeDir) ? '~' + source.dbPath.slice(homeDir.length) : source.dbPath
+        },
+        rows: rows.map(row => ({ ...row, value: redact ? redactRowValue(row.value) : row.value }))
+    };
+}
+
+/**
+ * Check whether a file is a dump rather than a SQLite database
+ * @param {string} filePath - File path
+ * @returns {boolean} True if the file starts like a JSON document
+ */
+function isDumpFile(filePath) {
+    let fd;
+    try {
+        fd = fs.openSync(filePath, 'r');
+        const buffer = Buffer.alloc(64);
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        return buffer.toString('utf8', 0, bytesRead).trimStart().startsWith('{');
+    } catch (error) {
+        return false;
+    } finally {
+        if (fd !== undefined) fs.closeSync(fd);
+    }
+}
+
+/**
+ * Load a dump into an in-memory database laid out like state.vscdb
+ * @param {string} dumpPath - Path to a dump file
+ * @returns {Promise<Object>} {db, dbPath, strategy: 'dump', close}, like openCursorDatabase
+ * @throws {SchemaChangedError|DbUnreadableError} When the file is not a readable dump
+ */
+async function openDumpDatabase(dumpPath) {
+    let dump;
+    try {
+        dump = JSON.parse(await fs.promises.readFile(dumpPath, 'utf8'));
+    } catch (error) {
+        throw new DbUnreadableError(dumpPath, error.message);
+    }
+    if (!dump || dump.format !== DUMP_FORMAT || !Array.isArray(dump.rows)) {
+        throw new SchemaChangedError(dumpPath, 'the file is neither a SQLite database nor a Trace Extractor dump');
+    }
+    if (dump.version > DUMP_VERSION) {
+        throw new SchemaChangedError(dumpPath, `dump version ${dump.version} is newer than this Trace Extractor supports`);
+    }
+
+    const db = await openSqlite(':memory:', sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
+    try {
+        for (const table of DUMP_TABLES) {
+            await runStatement(db, `CREATE TABLE ${table} (key TEXT UNIQUE ON CONFLICT REPLACE, value BLOB)`);
+        }
+        for (const { table, key, value } of dump.rows) {
+            if (!DUMP_TABLES.includes(table)) continue;
+            await runStatement(db, `INSERT INTO ${table} (key, value) VALUES (?, ?)`, [key, value]);
+        }
+    } catch (error) {
+        await closeSqlite(db);
+        throw new DbUnreadableError(dumpPath, error.message);
+    }
+
+    return { db, dbPath: dumpPath, strategy: 'dump', close: () => closeSqlite(db) };
+}
+
+module.exports = {
+    DUMP_FORMAT,
+    DUMP_VERSION,
+    redactValue,
+    createDump,
+    isDumpFile,
+    openDumpDatabase
+};
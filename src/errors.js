@@ -0,0 +1,133 @@
+/**
+ * Typed errors shared by the extractors, the CLI and the VS Code extension
+ * Each error carries the exit code the CLI should use and, where possible, a hint telling
+ * the user what to do about it.
+ */
+
+// Process exit codes used by the non-interactive CLI commands
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    NOT_FOUND: 2,
+    DB_UNREADABLE: 3,
+    RENDER_FAILED: 4,
+    DB_NOT_FOUND: 5,
+    DB_LOCKED: 6,
+    SCHEMA_CHANGED: 7
+};
+
+const DB_LOCATION_HINT = 'Point Trace Extractor at the right file with --db <file>, the TRACE_EXTRACTOR_DB ' +
+    'environment variable, or the traceExtractor.dbPath setting.';
+
+/**
+ * Error raised by the export pipeline, carrying the exit code the CLI should use
+ */
+class ExportError extends Error {
+    /**
+     * @param {string} message - Human-readable error message
+     * @param {number} exitCode - One of EXIT_CODES
+     * @param {string|null} hint - Optional suggestion shown below the message
+     */
+    constructor(message, exitCode = EXIT_CODES.ERROR, hint = null) {
+        super(message);
+        this.name = 'ExportError';
+        this.exitCode = exitCode;
+        this.hint = hint;
+    }
+}
+
+/**
+ * No Cursor database exists at any of the probed locations
+ */
+class DbNotFoundError extends ExportError {
+    /**
+     * @param {Array<string>} probedPaths - Every path that was checked
+     */
+    constructor(probedPaths) {
+        super('Cursor database (state.vscdb) not found', EXIT_CODES.DB_NOT_FOUND,
+            `Make sure Cursor has been used on this machine. ${DB_LOCATION_HINT}`);
+        this.name = 'DbNotFoundError';
+        this.probedPaths = probedPaths;
+    }
+}
+
+/**
+ * The database exists but stayed locked by another process for every read strategy
+ */
+class DbLockedError extends ExportError {
+    /**
+     * @param {string} dbPath - Database path
+     * @param {string} detail - Underlying SQLite error message
+     */
+    constructor(dbPath, detail) {
+        super(`Cursor database is locked: ${dbPath} (${detail})`, EXIT_CODES.DB_LOCKED,
+            'Cursor is probably writing to it right now. Wait a moment and retry, or close Cursor first.');
+        this.name = 'DbLockedError';
+        this.dbPath = dbPath;
+    }
+}
+
+/**
+ * The database does not have the layout Trace Extractor knows how to read
+ */
+class SchemaChangedError extends ExportError {
+    /**
+     * @param {string} dbPath - Database path
+     * @param {string} detail - What was missing or unreadable
+     */
+    constructor(dbPath, detail) {
+        super(`Unexpected Cursor database layout in ${dbPath}: ${detail}`, EXIT_CODES.SCHEMA_CHANGED,
+            'This file may not be a Cursor state.vscdb, or a Cursor update changed how chats are stored. ' +
+            'Please report it at https://github.com/mudiko/trace-extractor/issues with your Cursor version.');
+        this.name = 'SchemaChangedError';
+        this.dbPath = dbPath;
+    }
+}
+
+/**
+ * The database could not be opened or copied for another reason (permissions, corruption, disk full)
+ */
+class DbUnreadableError extends ExportError {
+    /**
+     * @param {string} dbPath - Database path
+     * @param {string} detail - Underlying error message
+     */
+    constructor(dbPath, detail) {
+        super(`Could not read the Cursor database ${dbPath}: ${detail}`, EXIT_CODES.DB_UNREADABLE,
+            `Check the file permissions and that there is free space in the temp directory. ${DB_LOCATION_HINT}`);
+        this.name = 'DbUnreadableError';
+        this.dbPath = dbPath;
+    }
+}
+
+/**
+ * Format an error for display: the message, any probed paths or parse failure counts, and the hint
+ * @param {Error} error - Error to describe
+ * @returns {Array<string>} Lines to show the user
+ */
+function describeError(error) {
+    const lines = [error.message];
+
+    if (error.probedPaths && error.probedPaths.length > 0) {
+        lines.push('Looked in:');
+        error.probedPaths.forEach(probedPath => lines.push(`  ${probedPath}`));
+    }
+    if (error.parseFailures) {
+        lines.push(`${error.parseFailures} rows could not be parsed`);
+    }
+    if (error.hint) {
+        lines.push(`Hint: ${error.hint}`);
+    }
+
+    return lines;
+}
+
+module.exports = {
+    EXIT_CODES,
+    ExportError,
+    DbNotFoundError,
+    DbLockedError,
+    SchemaChangedError,
+    DbUnreadableError,
+    describeError
+};
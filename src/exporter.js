@@ -0,0 +1,590 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { openCursorStores } = require('./cursor-store');
+const { EXIT_CODES, ExportError, describeError } = require('./errors');
+const { reconstructConversation, getConversationSummary } = require('./conversation-parser');
+const {
+    generateMarkdownConversation,
+    generateConversationFilename
+} = require('./markdown-generator');
+const { getRecentConversations } = require('./chat-selector');
+const { extractClineTask, getAllClineTasks, getRecentClineConversations } = require('./cline/extractor');
+const { parseClineConversation } = require('./cline/conversation-parser');
+const { conversationToMarkdown, generateClineFilename } = require('./cline/markdown-generator');
+const { hasFilters, matchesFilters, applyFilters } = require('./filters');
+const { getComposerWorkspaceMap } = require('./workspaces');
+const { describeUnknownVersions } = require('./cursor-schema');
+const { createDump } = require('./dump');
+const { openArchive } = require('./archive-store');
+const { extractConversationAssets, writeAssets } = require('./assets');
+
+/**
+ * Non-interactive export pipeline shared by the CLI subcommands
+ */
+
+/**
+ * Log why Cursor conversations are left out when exporting from both sources
+ * @param {Error} error - Error raised while reading the Cursor database
+ * @param {Object|null} outputChannel - Optional output channel for logging
+ */
+function logCursorSkipped(error, outputChannel = null) {
+    const log = (message) => outputChannel ? outputChannel.appendLine(message) : console.warn(message);
+    const [message, ...details] = describeError(error);
+
+    log(`WARNING: Skipping Cursor conversations: ${message}`);
+    details.forEach(line => log(`  ${line}`));
+}
+
+/**
+ * Load and reconstruct a single Cursor conversation
+ * @param {string} composerId - Composer ID of the conversation
+ * @param {string|null} dbPath - Optional path to state.vscdb
+ * @param {Object|null} extensionContext - Optional VS Code extension context
+ * @param {string|null} ide - Optional installation ID or 'all' (every Cursor database is searched)
+ * @param {Array<string>|null} userDataDirs - Optional explicit user-data directories
+ * @param {boolean} recover - Also rebuild the conversation from orphaned bubbles when its composerData is gone
+ * @returns {Promise<Object>} Reconstructed conversation
+ */
+async function loadCursorConversation(composerId, dbPath = null, extensionContext = null, ide = null, userDataDirs = null, recover = false) {
+    for await (const { store } of openCursorStores({ dbPath, extensionContext, ide, userDataDirs, recover })) {
+        const extractedData = await store.loadComposer(composerId);
+        if (!extractedData) continue;
+
+        return reconstructConversation(
+            composerId,
+            extractedData.bubbles,
+            extractedData.checkpoints,
+            extractedData.codeDiffs,
+            extractedData.composers[composerId]
+        );
+    }
+
+    throw new ExportError(`Cursor conversation not found: ${composerId}`, EXIT_CODES.NOT_FOUND);
+}
+
+/**
+ * Load and parse a single Cline task
+ * @param {string} taskId - Cline task ID
+ * @param {string|null} baseDir - Optional Cline extension directory containing the task
+ * @param {Object|null} extensionContext - Optional VS Code extension context
+ * @param {Object|null} outputChannel - Optional output channel for logging
+ * @param {string|null} clineDir - Optional explicit Cline directory, used when baseDir is not given
+ * @param {string|null} ide - Optional installation ID or 'all', used when baseDir is not given
+ * @param {Array<string>|null} userDataDirs - Optional explicit user-data directories, used when baseDir is not given
+ * @returns {Object} Parsed Cline conversation
+ */
+function loadClineConversation(taskId, baseDir = null, extensionContext = null, outputChannel = null, clineDir = null, ide = null, userDataDirs = null) {
+    const taskData = extractClineTask(taskId, baseDir, extensionContext, outputChannel, clineDir, ide, userDataDirs);
+    if (!taskData) {
+        throw new ExportError(`Cline task not found: ${taskId}`, EXIT_CODES.NOT_FOUND);
+    }
+
+    return parseClineConversation(taskData);
+}
+
+/**
+ * Load a conversation from the archive (see archive-store.js)
+ * @param {string} source - 'cursor' or 'cline'
+ * @param {string} id - Composer ID or task ID
+ * @param {string|null} archivePath - Optional archive location
+ * @param {number|null} revision - Optional revision number, the latest when omitted
+ * @returns {Promise<{conversation: Object, summary: Object, revision: number}>} Archived conversation
+ */
+async function loadArchivedConversation(source, id, archivePath = null, revision = null) {
+    const archive = await openArchive(archivePath);
+    try {
+        const archived = await archive.getConversation(source, id, revision);
+        if (!archived) {
+            const what = revision ? `revision ${revision} of ${source} conversation ${id}` : `${source} conversation ${id}`;
+            throw new ExportError(`Not in the archive: ${what}`, EXIT_CODES.NOT_FOUND);
+        }
+        return archived;
+    } finally {
+        await archive.close();
+    }
+}
+
+/**
+ * List conversation summaries from one or both sources, most recent first
+ * @param {Object} options - Listing options
+ * @param {string} options.source - 'cursor', 'cline' or 'both'
+ * @param {number} options.limit - Maximum number of conversations to return (Infinity for all)
+ * @param {Object|null} options.filters - Optional filters ({since, until, grep, model, workspace}) applied before the limit
+ * @param {string|null} options.dbPath - Optional explicit path to state.vscdb
+ * @param {string|null} options.clineDir - Optional explicit Cline directory
+ * @param {string|null} options.ide - Optional installation ID or 'all' to merge every installation
+ * @param {Array<string>|null} options.userDataDirs - Optional explicit user-data directories
+ * @param {boolean} options.fromArchive - List the archived conversations instead of the editors' ones
+ * @param {string|null} options.archivePath - Optional archive location
+ * @param {boolean} options.recover - Also list Cursor conversations rebuilt from orphaned bubbles
+ * @param {Object|null} options.outputChannel - Optional output channel for logging
+ * @returns {Promise<Array<Object>>} Summaries tagged with `source` and a `lastActivity` Date
+ */
+async function listConversations({
+    source = 'both',
+    limit = 10,
+    filters = null,
+    dbPath = null,
+    clineDir = null,
+    ide = null,
+    userDataDirs = null,
+    fromArchive = false,
+    archivePath = null,
+    recover = false,
+    outputChannel = null
+}) {
+    if (fromArchive) {
+        const archive = await openArchive(archivePath);
+        try {
+            const archived = applyFilters(await archive.listConversations(source), filters);
+            return Number.isFinite(limit) ? archived.slice(0, limit) : archived;
+        } finally {
+            await archive.close();
+        }
+    }
+
+    // Filters must see every conversation, otherwise older matches would be cut off by the limit
+    const fetchLimit = hasFilters(filters) ? Infinity : limit;
+    let conversations = [];
+
+    if (source === 'cursor' || source === 'both') {
+        try {
+            const cursorConvs = await getRecentConversations(fetchLimit, null, outputChannel, dbPath, ide, userDataDirs, recover);
+            conversations = conversations.concat(cursorConvs.map(conv => ({
+                ...conv,
+                source: 'cursor',
+                lastActivity: conv.lastMessageTime
+            })));
+        } catch (error) {
+            if (source === 'cursor') throw error;
+            logCursorSkipped(error, outputChannel);
+        }
+    }
+
+    if (source === 'cline' || source === 'both') {
+        const clineConvs = getRecentClineConversations(fetchLimit, null, outputChannel, clineDir, ide, userDataDirs);
+        conversations = conversations.concat(clineConvs.map(conv => ({
+            ...conv,
+            source: 'cline',
+            lastActivity: new Date(conv.timestamp)
+        })));
+    }
+
+    conversations = applyFilters(conversations, filters);
+    conversations.sort((a, b) => b.lastActivity - a.lastActivity);
+
+    return Number.isFinite(limit) ? conversations.slice(0, limit) : conversations;
+}
+
+/**
+ * Hash the raw source rows of a Cursor composer (composerData plus its bubbles)
+ * Used to detect which conversations changed between two extractions
+ * @param {string} composerId - Composer ID
+ * @param {Object} extractedData - Result of extractCursorDiskKV or of a cursor store's loadComposer
+ * @returns {string} Hex digest
+ */
+function hashCursorSource(composerId, extractedData) {
+    return crypto.createHash('sha1')
+        .update(JSON.stringify(extractedData.composers[composerId] || null))
+        .update(JSON.stringify(extractedData.bubbles[composerId] || {}))
+        .digest('hex');
+}
+
+/**
+ * Hash the raw message files of a Cline task (ui_messages.json and api_conversation_history.json)
+ * @param {string} taskPath - Path to the task directory
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashClineSource(taskPath) {
+    const hash = crypto.createHash('sha1');
+
+    for (const filename of ['ui_messages.json', 'api_conversation_history.json']) {
+        try {
+            hash.update(await fs.readFile(path.join(taskPath, filename)));
+        } catch (error) {
+            hash.update(`missing:${filename}`);
+        }
+    }
+
+    return hash.digest('hex');
+}
+
+// Version of the rendered output; bump it whenever renderers change what an export contains,
+// so that `sync` regenerates files whose source data did not change
+const RENDER_VERSION = 2;
+
+/**
+ * Render a loaded conversation to file content
+ * Attached images are taken out into assets (see assets.js), which callers write with writeAssets.
+ * @param {string} source - 'cursor' or 'cline'
+ * @param {Object} conversation - Reconstructed Cursor or parsed Cline conversation
+ * @param {string} format - 'markdown' or 'json'
+ * @returns {{content: string, filename: string, assets: Array<Object>, assetDir: string}} Rendered
+ *          content, suggested filename, image assets and the folder they go in
+ */
+function renderConversation(source, conversation, format) {
+    try {
+        const { conversation: exported, assets, assetDir } = extractConversationAssets(source, conversation);
+        return { ...renderContent(source, exported, format), assets, assetDir };
+    } catch (error) {
+        throw new ExportError(`Failed to render conversation: ${error.message}`, EXIT_CODES.RENDER_FAILED);
+    }
+}
+
+/**
+ * Render a conversation whose assets were already extracted
+ * @param {string} source - 'cursor' or 'cline'
+ * @param {Object} conversation - Reconstructed Cursor or parsed Cline conversation
+ * @param {string} format - 'markdown' or 'json'
+ * @returns {{content: string, filename: string}} Rendered content and suggested filename
+ */
+function renderContent(source, conversation, format) {
+    if (source === 'cline') {
+        if (format === 'json') {
+            return {
+                content: JSON.stringify(conversation, null, 2),
+                filename: generateClineFilename(conversation).replace('.md', '.json')
+            };
+        }
+        return {
+            content: conversationToMarkdown(conversation),
+            filename: generateClineFilename(conversation)
+        };
+    }
+
+    if (format === 'json') {
+        return {
+            content: JSON.stringify(conversation, null, 2),
+            filename: generateConversationFilename(conversation).replace('.md', '.json')
+        };
+    }
+    return {
+        content: generateMarkdownConversation(conversation),
+        filename: generateConversationFilename(conversation)
+    };
+}
+
+/**
+ * Export a single conversation to a file without any prompts
+ * @param {Object} options - Export options
+ * @param {string} options.source - 'cursor' or 'cline'
+ * @param {string} options.id - Composer ID (Cursor) or task ID (Cline)
+ * @param {string} options.format - 'markdown' or 'json'
+ * @param {string} options.outDir - Output directory
+ * @param {string|null} options.dbPath - Optional explicit path to state.vscdb
+ * @param {string|null} options.clineDir - Optional explicit Cline directory
+ * @param {string|null} options.ide - Optional installation ID or 'all' to search every installation
+ * @param {Array<string>|null} options.userDataDirs - Optional explicit user-data directories
+ * @param {boolean} options.fromArchive - Export the archived snapshot instead of the editor's conversation
+ * @param {string|null} options.archivePath - Optional archive location
+ * @param {number|null} options.revision - Optional archive revision, the latest when omitted
+ * @param {boolean} options.recover - Rebuild a Cursor conversation from orphaned bubbles when its composerData is gone
+ * @param {Object|null} options.outputChannel - Optional output channel for logging
+ * @returns {Promise<Object>} Export result with filepath, title and message count
+ */
+async function exportConversation({
+    source,
+    id,
+    format,
+    outDir,
+    dbPath = null,
+    clineDir = null,
+    ide = null,
+    userDataDirs = null,
+    fromArchive = false,
+    archivePath = null,
+    revision = null,
+    recover = false,
+    outputChannel = null
+}) {
+    let conversation;
+    let title;
+
+    if (fromArchive) {
+        const archived = await loadArchivedConversation(source, id, archivePath, revision);
+        conversation = archived.conversation;
+        title = archived.summary.title;
+    } else if (source === 'cline') {
+        conversation = loadClineConversation(id, null, null, outputChannel, clineDir, ide, userDataDirs);
+        title = conversation.title;
+    } else {
+        conversation = await loadCursorConversation(id, dbPath, null, ide, userDataDirs, recover);
+        title = conversation.composer_data?.name || 'Untitled Conversation';
+
+        const log = (message) => outputChannel ? outputChannel.appendLine(message) : console.warn(message);
+        for (const { kind, version } of conversation.schema.unknown_versions) {
+            log(`WARNING: Cursor ${kind} schema version ${version} is unknown; unrecognised fields may be missing from this export`);
+        }
+    }
+
+    const rendered = renderConversation(source, conversation, format);
+    const { content, assets, assetDir } = rendered;
+
+    // Single Cline exports keep the `cline-<task id>` name scripts rely on; bulk exports add the title
+    const filename = source === 'cline' ? `cline-${id}${path.extname(rendered.filename)}` : rendered.filename;
+
+    await fs.mkdir(outDir, { recursive: true });
+    const filepath = path.join(outDir, filename);
+    await fs.writeFile(filepath, content);
+    await writeAssets(outDir, assets, assetDir);
+
+    return {
+        source,
+        id,
+        format,
+        title,
+        filepath,
+        messageCount: conversation.messages.length
+    };
+}
+
+/**
+ * Dump the raw database rows behind one Cursor conversation
+ * @param {Object} options - Dump options
+ * @param {string} options.id - Composer ID
+ * @param {string|null} options.outFile - Optional file to write the dump to
+ * @param {boolean} options.redact - Replace conversation content with placeholders
+ * @param {string|null} options.dbPath - Optional explicit path to state.vscdb (or to an earlier dump)
+ * @param {string|null} options.ide - Optional installation ID or 'all' to search every installation
+ * @param {Array<string>|null} options.userDataDirs - Optional explicit user-data directories
+ * @returns {Promise<{dump: Object, filepath: string|null}>} Dump document and the file it was written to
+ */
+async function dumpConversation({
+    id,
+    outFile = null,
+    redact = false,
+    dbPath = null,
+    ide = null,
+    userDataDirs = null
+}) {
+    for await (const { store, installation, profile } of openCursorStores({ dbPath, ide, userDataDirs })) {
+        const rows = await store.getRawRows(id);
+        if (!rows) continue;
+
+        const dump = createDump(id, rows, {
+            dbPath: store.dbPath,
+            ide: installation ? installation.id : null,
+            profile
+        }, redact);
+
+        if (outFile) {
+            await fs.mkdir(path.dirname(path.resolve(outFile)), { recursive: true });
+            await fs.writeFile(outFile, JSON.stringify(dump, null, 2) + '\n');
+        }
+        return { dump, filepath: outFile };
+    }
+
+    throw new ExportError(`Cursor conversation not found: ${id}`, EXIT_CODES.NOT_FOUND);
+}
+
+/**
+ * Export every Cursor composer and/or Cline task and write an index of the exported files
+ * @param {Object} options - Export options
+ * @param {string} options.source - 'cursor', 'cline' or 'both'
+ * @param {string} options.format - 'markdown' or 'json'
+ * @param {string} options.outDir - Output directory
+ * @param {Object|null} options.filters - Optional filters ({since, until, grep, model, workspace})
+ * @param {string|null} options.dbPath - Optional explicit path to state.vscdb
+ * @param {string|null} options.clineDir - Optional explicit Cline directory
+ * @param {string|null} options.ide - Optional installation ID or 'all' to merge every installation
+ * @param {Array<string>|null} options.userDataDirs - Optional explicit user-data directories
+ * @param {boolean} options.fromArchive - Export the archived conversations instead of the editors' ones
+ * @param {string|null} options.archivePath - Optional archive location
+ * @param {boolean} options.recover - Also export Cursor conversations rebuilt from orphaned bubbles
+ * @param {Object|null} options.extensionContext - Optional VS Code extension context
+ * @param {Object|null} options.outputChannel - Optional output channel for logging
+ * @param {Function|null} options.onProgress - Optional callback invoked with each index entry
+ * @returns {Promise<{entries: Array<Object>, failures: Array<Object>, indexFiles: Array<string>}>}
+ */
+async function exportAllConversations({
+    source = 'both',
+    format,
+    outDir,
+    filters = null,
+    dbPath = null,
+    clineDir = null,
+    ide = null,
+    userDataDirs = null,
+    fromArchive = false,
+    archivePath = null,
+    recover = false,
+    extensionContext = null,
+    outputChannel = null,
+    onProgress = null
+}) {
+    const log = (message) => outputChannel ? outputChannel.appendLine(message) : console.log(message);
+    const entries = [];
+    const failures = [];
+
+    await fs.mkdir(outDir, { recursive: true });
+
+    // `loadEntry` runs inside the error handling, so one unreadable conversation only fails itself;
+    // it returns {conversation, summary}, or null for a conversation to skip
+    const writeEntry = async (entrySource, id, loadEntry) => {
+        try {
+            const loaded = await loadEntry();
+            if (!loaded || !matchesFilters(loaded.summary, filters)) return;
+
+            const { conversation, summary } = loaded;
+            const { title, lastActivity: date } = summary;
+
+            const { content, filename, assets, assetDir } = renderConversation(entrySource, conversation, format);
+            await fs.writeFile(path.join(outDir, filename), content);
+            await writeAssets(outDir, assets, assetDir);
+
+            const entry = {
+                source: entrySource,
+                id,
+                title,
+                date: date && !isNaN(date) ? date.toISOString() : null,
+                workspace: summary.workspace || null,
+                messageCount: conversation.messages.length,
+                file: filename
+            };
+            entries.push(entry);
+            if (onProgress) onProgress(entry);
+        } catch (error) {
+            failures.push({ source: entrySource, id, error: error.message });
+            log(`WARNING: Could not export ${entrySource} conversation ${id}: ${error.message}`);
+        }
+    };
+
+    if (fromArchive) {
+        const archive = await openArchive(archivePath);
+        try {
+            for (const summary of await archive.listConversations(source)) {
+                // Filter on the stored summary before reading the snapshot
+                if (!matchesFilters(summary, filters)) continue;
+
+                await writeEntry(summary.source, summary.id, async () => {
+                    const archived = await archive.getConversation(summary.source, summary.id);
+                    if (!archived) {
+                        log(`WARNING: Skipped archived ${summary.source} conversation ${summary.id}: its latest revision is missing`);
+                        return null;
+                    }
+                    return { conversation: archived.conversation, summary };
+                });
+            }
+        } finally {
+            await archive.close();
+        }
+    }
+
+    if (!fromArchive && (source === 'cursor' || source === 'both')) {
+        try {
+            for await (const { store } of openCursorStores({ dbPath, extensionContext, ide, userDataDirs, recover, outputChannel })) {
+                const workspaceMap = await getComposerWorkspaceMap(store.dbPath, outputChannel);
+
+                for await (const { composerId, composerData, extractedData } of store.conversations()) {
+                    await writeEntry('cursor', composerId, () => {
+                        // Recovered composers may have no bubbles that could be parsed
+                        if (!extractedData) return null;
+
+                        const conversation = reconstructConversation(
+                            composerId,
+                            extractedData.bubbles,
+                            extractedData.checkpoints,
+                            extractedData.codeDiffs,
+                            composerData
+                        );
+                        if (conversation.messages.length === 0) return null;
+
+                        const summary = getConversationSummary(conversation);
+                        return {
+                            conversation,
+                            summary: {
+                                ...summary,
+                                lastActivity: summary.lastMessageTime,
+                                workspace: workspaceMap.get(composerId) || null
+                            }
+                        };
+                    });
+                }
+
+                if (store.stats.parseFailures > 0) {
+                    log(`WARNING: Skipped ${store.stats.parseFailures} Cursor rows that could not be parsed`);
+                }
+                describeUnknownVersions(store.stats).forEach(line => log(`WARNING: ${line}`));
+                if (store.stats.recovered > 0) {
+                    log(`Recovered ${store.stats.recovered} conversations from orphaned bubbles`);
+                }
+            }
+        } catch (error) {
+            if (source === 'cursor') throw error;
+            logCursorSkipped(error, outputChannel);
+        }
+    }
+
+    if (!fromArchive && (source === 'cline' || source === 'both')) {
+        for (const task of getAllClineTasks(extensionContext, outputChannel, clineDir, ide, userDataDirs)) {
+            await writeEntry('cline', task.taskId, () => {
+                const conversation = loadClineConversation(task.taskId, task.baseDir, extensionContext, outputChannel);
+                return {
+                    conversation,
+                    summary: {
+                        title: conversation.title,
+                        model: conversation.model,
+                        workspace: conversation.workspace,
+                        lastActivity: task.lastModified
+                    }
+                };
+            });
+        }
+    }
+
+    entries.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    const indexFiles = await writeExportIndex(outDir, entries);
+
+    return { entries, failures, indexFiles };
+}
+
+/**
+ * Write index.json and index.md describing a set of exported conversations
+ * @param {string} outDir - Output directory containing the exported files
+ * @param {Array<Object>} entries - Index entries ({source, id, title, date, workspace, messageCount, file})
+ * @returns {Promise<Array<string>>} Paths of the written index files
+ */
+async function writeExportIndex(outDir, entries) {
+    const generated = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const jsonPath = path.join(outDir, 'index.json');
+    const markdownPath = path.join(outDir, 'index.md');
+
+    await fs.writeFile(jsonPath, JSON.stringify({ generated, conversations: entries }, null, 2));
+
+    let markdown = `<!-- Generated by Trace Extractor -->\n\n`;
+    markdown += `# Conversation Index\n\n`;
+    markdown += `**Generated:** ${generated}  \n`;
+    markdown += `**Conversations:** ${entries.length}  \n\n`;
+    markdown += `| Date | Source | Title | Messages | File |\n`;
+    markdown += `|------|--------|-------|----------|------|\n`;
+
+    for (const entry of entries) {
+        const date = entry.date ? entry.date.substring(0, 10) : '-';
+        const sourceName = entry.source === 'cline' ? 'Cline' : 'Cursor';
+        const title = entry.title.replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+        markdown += `| ${date} | ${sourceName} | ${title} | ${entry.messageCount} | [${entry.file}](${entry.file}) |\n`;
+    }
+
+    await fs.writeFile(markdownPath, markdown);
+
+    return [markdownPath, jsonPath];
+}
+
+module.exports = {
+    EXIT_CODES,
+    RENDER_VERSION,
+    ExportError,
+    logCursorSkipped,
+    loadCursorConversation,
+    loadClineConversation,
+    loadArchivedConversation,
+    listConversations,
+    hashCursorSource,
+    hashClineSource,
+    renderConversation,
+    exportConversation,
+    exportAllConversations,
+    dumpConversation,
+    writeExportIndex
+};
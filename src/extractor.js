@@ -1,367 +1,510 @@
 const fs = require('fs/promises');
+const fsSync = require('fs');
 const sqlite3 = require('sqlite3');
 const os = require('os');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const { DbNotFoundError, DbLockedError, SchemaChangedError, DbUnreadableError } = require('./errors');
+const {
+    detectCurrentInstallation,
+    resolveUserDataDirs,
+    getProfileStorageDirs,
+    getGlobalStorageDirs,
+    getUserDataDirForPath,
+    getInstallationForPath,
+    getProfileForPath
+} = require('./installations');
 
 /**
- * Detect current IDE based on environment or process
- * @returns {string} IDE name: 'cursor' or 'vscode'
+ * Get every Cursor database candidate, in the order they are checked, with the user-data
+ * directory it belongs to
+ * Supports custom user data directories when extension context is provided, and the
+ * profiles (User/profiles/*) of every user-data directory.
+ * Only installations that store Cursor chats (Cursor, Cursor Nightly) are listed; when no IDE
+ * is selected and the current editor is not one of them, every Cursor installation is checked.
+ * Explicit user-data directories replace installation detection.
+ * The TRACE_EXTRACTOR_DB environment variable overrides detection entirely
+ * @param {Object|null} extensionContext - Optional VS Code extension context
+ * @param {string|null} ide - Optional installation ID or 'all' (see installations.js)
+ * @param {Array<string>|null} userDataDirs - Optional explicit user-data directories
+ * @returns {Array<{dbPath: string, userDataDir: string|null}>} Candidates; empty if the selected IDEs cannot hold Cursor chats
  */
-function detectCurrentIDE() {
-    // Check environment variables and process info
-    if (process.env.TERM_PROGRAM === 'Cursor' || 
-        process.env.VSCODE_CWD && process.env.VSCODE_CWD.includes('Cursor') ||
-        process.execPath && process.execPath.includes('Cursor')) {
-        return 'cursor';
+function getCandidateDatabases(extensionContext = null, ide = null, userDataDirs = null) {
+    if (process.env.TRACE_EXTRACTOR_DB) {
+        return [{ dbPath: path.resolve(process.env.TRACE_EXTRACTOR_DB), userDataDir: null }];
     }
-    // Default to vscode
-    return 'vscode';
-}
-
-/**
- * Get the path to the Cursor database file based on the operating system
- * Supports custom user data directories when extension context is provided
- * Now IDE-aware: only checks relevant paths based on detected IDE
- */
-function getDbPath(extensionContext = null) {
-    const platform = os.platform();
-    const currentIDE = detectCurrentIDE();
     
-    // If we have extension context, try to detect custom user data directory
-    if (extensionContext && extensionContext.globalStorageUri) {
+    const selector = ide || process.env.TRACE_EXTRACTOR_IDE || null;
+    const explicitDirs = resolveUserDataDirs(userDataDirs);
+    const currentInstallation = detectCurrentInstallation();
+    const storageDirs = [];
+    
+    // The running editor's own storage, which may live in a custom user data directory
+    if (!selector && explicitDirs.length === 0 && currentInstallation.cursorChat &&
+        extensionContext && extensionContext.globalStorageUri) {
         try {
-            // The globalStorageUri gives us the path to the extension's global storage
-            // We need to navigate up to find the state.vscdb file
-            const globalStoragePath = extensionContext.globalStorageUri.fsPath;
-            
-            // Extract the user data directory from the global storage path
             // Pattern: /path/to/userdata/User/globalStorage/extension-name
-            // We want: /path/to/userdata/User/globalStorage/state.vscdb
-            const userGlobalStorageDir = path.dirname(globalStoragePath);
-            const dbPath = path.join(userGlobalStorageDir, 'state.vscdb');
-            
-            // Check if this custom path exists
-            try {
-                const fs = require('fs');
-                fs.accessSync(dbPath);
-                return dbPath;
-            } catch (e) {
-                // Fall back to default paths if custom path doesn't exist
-            }
+            // We want: /path/to/userdata/User/globalStorage/state.vscdb, plus the profiles next to it
+            const userGlobalStorageDir = path.dirname(extensionContext.globalStorageUri.fsPath);
+            const userDataDir = getUserDataDirForPath(userGlobalStorageDir);
+            const dirs = userDataDir ? getProfileStorageDirs(userDataDir) : [userGlobalStorageDir];
+            dirs.forEach(dir => storageDirs.push({ installation: currentInstallation, userDataDir: userDataDir || dir, dir }));
         } catch (error) {
             // Fall back to default paths if context parsing fails
         }
     }
     
-    // IDE-aware default paths
-    const homeDir = os.homedir();
-    let possiblePaths = [];
+    storageDirs.push(...getGlobalStorageDirs(
+        selector || (currentInstallation.cursorChat ? currentInstallation.id : 'all'),
+        explicitDirs
+    ));
     
-    if (currentIDE === 'cursor') {
-        // Only check Cursor-specific paths when running in Cursor
-        switch (platform) {
-            case 'darwin': // macOS
-                possiblePaths = [
-                    path.join(homeDir, 'Library', 'Application Support', 'Cursor', 'User', 'globalStorage', 'state.vscdb'),
-                    path.join(homeDir, '.cursor', 'User', 'globalStorage', 'state.vscdb')
-                ];
-                break;
-            case 'win32': // Windows
-                possiblePaths = [
-                    path.join(homeDir, 'AppData', 'Roaming', 'Cursor', 'User', 'globalStorage', 'state.vscdb')
-                ];
-                break;
-            case 'linux': // Linux
-                possiblePaths = [
-                    path.join(homeDir, '.config', 'Cursor', 'User', 'globalStorage', 'state.vscdb')
-                ];
-                break;
-            default:
-                throw new Error(`Unsupported platform: ${platform}`);
-        }
-    } else {
-        // Only check VS Code-specific paths when running in VS Code
-        switch (platform) {
-            case 'darwin': // macOS
-                possiblePaths = [
-                    path.join(homeDir, 'Library', 'Application Support', 'Code', 'User', 'globalStorage', 'state.vscdb'),
-                    path.join(homeDir, '.vscode', 'User', 'globalStorage', 'state.vscdb')
-                ];
-                break;
-            case 'win32': // Windows
-                possiblePaths = [
-                    path.join(homeDir, 'AppData', 'Roaming', 'Code', 'User', 'globalStorage', 'state.vscdb')
-                ];
-                break;
-            case 'linux': // Linux
-                possiblePaths = [
-                    path.join(homeDir, '.config', 'Code', 'User', 'globalStorage', 'state.vscdb')
-                ];
-                break;
-            default:
-                throw new Error(`Unsupported platform: ${platform}`);
+    const candidates = new Map();
+    for (const { installation, userDataDir, dir } of storageDirs) {
+        const dbPath = path.join(dir, 'state.vscdb');
+        if ((!installation || installation.cursorChat) && !candidates.has(dbPath)) {
+            candidates.set(dbPath, { dbPath, userDataDir });
         }
     }
     
-    // Try each possible path until we find one that exists
-    for (const dbPath of possiblePaths) {
-        try {
-            const fs = require('fs');
-            fs.accessSync(dbPath);
-            return dbPath;
-        } catch (e) {
-            // Continue to next path
-        }
+    return [...candidates.values()];
+}
+
+/**
+ * Whether the Cursor database was named explicitly (--db or TRACE_EXTRACTOR_DB) rather than detected
+ * @param {string|null} dbPath - Optional explicit path to a state.vscdb file
+ * @returns {boolean} True for an explicit database, which may be a copy rather than the live one
+ */
+function hasDbOverride(dbPath = null) {
+    return Boolean(dbPath || process.env.TRACE_EXTRACTOR_DB);
+}
+
+/**
+ * Get every location where the Cursor database may live, in the order they are checked
+ * @param {Object|null} extensionContext - Optional VS Code extension context
+ * @param {string|null} ide - Optional installation ID or 'all'
+ * @param {Array<string>|null} userDataDirs - Optional explicit user-data directories
+ * @returns {Array<string>} Candidate state.vscdb paths
+ */
+function getCandidateDbPaths(extensionContext = null, ide = null, userDataDirs = null) {
+    return getCandidateDatabases(extensionContext, ide, userDataDirs).map(candidate => candidate.dbPath);
+}
+
+/**
+ * Get the path to the Cursor database file: the first candidate that exists
+ * @param {Object|null} extensionContext - Optional VS Code extension context
+ * @param {string|null} ide - Optional installation ID
+ * @returns {string|null} Database path, or null if the selected IDEs cannot hold Cursor chats
+ */
+function getDbPath(extensionContext = null, ide = null) {
+    const candidates = getCandidateDbPaths(extensionContext, ide);
+    
+    // If none exists, return the first one (will cause error later but maintains compatibility)
+    return candidates.find(dbPath => fsSync.existsSync(dbPath)) || candidates[0] || null;
+}
+
+/**
+ * Select the Cursor databases to read
+ * An explicit dbPath wins. With `ide: 'all'` or explicit user-data directories every existing
+ * Cursor database is returned, otherwise those of the first user-data directory found
+ * (its default profile and every other profile).
+ * @param {string|null} dbPath - Optional explicit path to a state.vscdb file
+ * @param {Object|null} extensionContext - Optional VS Code extension context
+ * @param {string|null} ide - Optional installation ID or 'all'
+ * @param {Array<string>|null} userDataDirs - Optional explicit user-data directories
+ * @returns {Array<{dbPath: string, installation: Object|null, profile: string}>} Databases with the
+ *          installation and profile they belong to; empty if the selected IDEs cannot hold Cursor chats
+ * @throws {DbNotFoundError} When none of the candidate databases exists
+ */
+function resolveCursorDatabases(dbPath = null, extensionContext = null, ide = null, userDataDirs = null) {
+    const toDatabase = (databasePath) => ({
+        dbPath: databasePath,
+        installation: getInstallationForPath(databasePath),
+        profile: getProfileForPath(databasePath)
+    });
+    if (dbPath) return [toDatabase(dbPath)];
+    
+    const candidates = getCandidateDatabases(extensionContext, ide, userDataDirs);
+    const existing = candidates.filter(candidate => fsSync.existsSync(candidate.dbPath));
+    if (candidates.length > 0 && existing.length === 0) {
+        throw new DbNotFoundError(candidates.map(candidate => candidate.dbPath));
     }
     
-    // If no paths found, return the first one (will cause error later but maintains compatibility)
-    return possiblePaths[0] || path.join(homeDir, 'Library', 'Application Support', 'Cursor', 'User', 'globalStorage', 'state.vscdb');
+    const readAll = (ide || process.env.TRACE_EXTRACTOR_IDE) === 'all' || resolveUserDataDirs(userDataDirs).length > 0;
+    const selected = readAll
+        ? existing
+        : existing.filter(candidate => candidate.userDataDir === existing[0].userDataDir);
+    return selected.map(candidate => toDatabase(candidate.dbPath));
 }
 
+// Temp copies that still exist; removed on normal close and, as a last resort, on exit or signals
+const activeTempFiles = new Set();
+let cleanupHandlersInstalled = false;
+
 /**
- * Extract data from the cursorDiskKV table which contains the actual conversation content
+ * Synchronously remove every temp copy that is still around
  */
-async function extractCursorDiskKV(dbPath = null, extensionContext = null) {
-    const globalDbPath = dbPath || getDbPath(extensionContext);
-    const tempDbPath = path.join(os.tmpdir(), `temp_cursor_diskv_${Date.now()}.db`);
-    const globalWalPath = globalDbPath + '-wal';
-    const globalShmPath = globalDbPath + '-shm';
-    const tempWalPath = tempDbPath + '-wal';
-    const tempShmPath = tempDbPath + '-shm';
+function removeActiveTempFilesSync() {
+    for (const tempDbPath of activeTempFiles) {
+        for (const suffix of ['', '-wal', '-shm', '-journal']) {
+            try {
+                fsSync.unlinkSync(tempDbPath + suffix);
+            } catch (e) {
+            }
+        }
+    }
+    activeTempFiles.clear();
+}
+
+/**
+ * Remove temp copies when the process exits or is interrupted
+ * A signal still terminates the process unless another listener handles it.
+ */
+function installTempCleanupHandlers() {
+    if (cleanupHandlersInstalled) return;
+    cleanupHandlersInstalled = true;
     
-    try {
-        // Check if source database exists
+    process.on('exit', removeActiveTempFilesSync);
+    for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+        const handler = () => {
+            removeActiveTempFilesSync();
+            if (process.listenerCount(signal) === 1) {
+                process.removeListener(signal, handler);
+                process.kill(process.pid, signal);
+            }
+        };
+        process.on(signal, handler);
+    }
+}
+
+/**
+ * Reserve a temp file path for a database copy and register it for cleanup
+ * @returns {string} Temp database path
+ */
+function createTempDatabasePath() {
+    const tempDbPath = path.join(os.tmpdir(), `temp_cursor_diskv_${Date.now()}_${process.pid}.db`);
+    installTempCleanupHandlers();
+    activeTempFiles.add(tempDbPath);
+    return tempDbPath;
+}
+
+/**
+ * Remove a temp database copy and its WAL/SHM/journal files
+ * @param {string} tempDbPath - Path to the temp copy
+ */
+async function removeTempDatabase(tempDbPath) {
+    for (const suffix of ['', '-wal', '-shm', '-journal']) {
         try {
-            await fs.access(globalDbPath);
-        } catch (accessError) {
-            return {};
+            await fs.unlink(tempDbPath + suffix);
+        } catch (e) {
         }
-        
-        // Copy database and its WAL/SHM files to avoid lock issues and ensure latest data
-        await fs.copyFile(globalDbPath, tempDbPath);
-        try { await fs.copyFile(globalWalPath, tempWalPath); } catch (e) { /* WAL might not exist */ }
-        try { await fs.copyFile(globalShmPath, tempShmPath); } catch (e) { /* SHM might not exist */ }
-
-    } catch (error) {
-        return {};
     }
-    
+    activeTempFiles.delete(tempDbPath);
+}
+
+/**
+ * Open a SQLite database
+ * @param {string} filename - File path or `file:` URI
+ * @param {number} mode - sqlite3 open flags
+ * @returns {Promise<Object>} sqlite3 Database
+ */
+function openSqlite(filename, mode) {
     return new Promise((resolve, reject) => {
-        
-        const db = new sqlite3.Database(tempDbPath, sqlite3.OPEN_READONLY, (err) => {
-            if (err) {
-                resolve({});
-                return;
-            }
-            
-            // Extract all relevant entries from cursorDiskKV
-            db.all(`SELECT key, value FROM cursorDiskKV 
-                   WHERE key LIKE 'bubbleId:%' 
-                      OR key LIKE 'checkpointId:%' 
-                      OR key LIKE 'codeBlockDiff:%' 
-                      OR key LIKE 'composerData:%'
-                   ORDER BY key`, [], (err, rows) => {
+        const db = new sqlite3.Database(filename, mode, (err) => err ? reject(err) : resolve(db));
+    });
+}
+
+/**
+ * Close a SQLite database, ignoring errors
+ * @param {Object} db - sqlite3 Database
+ * @returns {Promise<void>}
+ */
+function closeSqlite(db) {
+    return new Promise((resolve) => db.close(() => resolve()));
+}
+
+/**
+ * Run a query and return all rows
+ * @param {Object} db - sqlite3 Database
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<Array<Object>>} Rows
+ */
+function allRows(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+/**
+ * Run a statement that returns no rows
+ * @param {Object} db - sqlite3 Database
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<void>}
+ */
+function runStatement(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+}
+
+/**
+ * Open the live database read-only through a `file:` URI (`mode=ro`)
+ * Read-only rather than `immutable=1`, so rows still sitting in the write-ahead log are seen.
+ * @param {string} globalDbPath - Path to state.vscdb
+ * @returns {Promise<Object>} sqlite3 Database
+ */
+async function openLiveReadOnly(globalDbPath) {
+    const db = await openSqlite(`${pathToFileURL(globalDbPath).href}?mode=ro`, sqlite3.OPEN_READONLY | sqlite3.OPEN_URI);
+    db.configure('busyTimeout', 3000);
+    return db;
+}
+
+/**
+ * Snapshot the live database into a temp file with SQLite's online backup API
+ * @param {string} globalDbPath - Path to state.vscdb
+ * @param {string} tempDbPath - Destination path
+ * @returns {Promise<void>}
+ */
+async function backupDatabase(globalDbPath, tempDbPath) {
+    const source = await openLiveReadOnly(globalDbPath);
+    
+    try {
+        await new Promise((resolve, reject) => {
+            const backup = source.backup(tempDbPath, 'main', 'main', true, (err) => {
                 if (err) {
-                    db.close();
-                    resolve({});
+                    reject(err);
                     return;
                 }
-                
-                const extractedData = {
-                    bubbles: {},
-                    checkpoints: {},
-                    codeDiffs: {},
-                    composers: {},
-                    stats: {
-                        totalBubbles: 0,
-                        totalCheckpoints: 0,
-                        totalCodeDiffs: 0,
-                        totalComposers: 0
-                    }
-                };
-                
-                for (const row of rows) {
-                    const { key, value } = row;
-                    
-                    if (!value) continue;
-                    
-                    try {
-                        // Parse the JSON value
-                        const parsedValue = JSON.parse(value);
-                        
-                        if (key.startsWith('bubbleId:')) {
-                            const parts = key.split(':');
-                            const composerId = parts[1];
-                            const bubbleId = parts[2];
-                            
-                            if (!extractedData.bubbles[composerId]) {
-                                extractedData.bubbles[composerId] = {};
-                            }
-                            
-                            extractedData.bubbles[composerId][bubbleId] = parsedValue;
-                            extractedData.stats.totalBubbles++;
-                            
-                        } else if (key.startsWith('checkpointId:')) {
-                            const parts = key.split(':');
-                            const composerId = parts[1];
-                            const checkpointId = parts[2];
-                            
-                            if (!extractedData.checkpoints[composerId]) {
-                                extractedData.checkpoints[composerId] = {};
-                            }
-                            
-                            extractedData.checkpoints[composerId][checkpointId] = parsedValue;
-                            extractedData.stats.totalCheckpoints++;
-                            
-                        } else if (key.startsWith('codeBlockDiff:')) {
-                            const parts = key.split(':');
-                            const composerId = parts[1];
-                            const diffId = parts[2];
-                            
-                            if (!extractedData.codeDiffs[composerId]) {
-                                extractedData.codeDiffs[composerId] = {};
-                            }
-                            
-                            extractedData.codeDiffs[composerId][diffId] = parsedValue;
-                            extractedData.stats.totalCodeDiffs++;
-                            
-                        } else if (key.startsWith('composerData:')) {
-                            const composerId = key.split(':')[1];
-                            extractedData.composers[composerId] = parsedValue;
-                            extractedData.stats.totalComposers++;
-                        }
-                        
-                    } catch (error) {
-                    }
-                }
-                
-                db.close(async (err) => {
-                    if (err) {
-                    }
-                    
-                    // Clean up temp files
-                    try {
-                        await fs.unlink(tempDbPath);
-                        await fs.unlink(tempWalPath);
-                        await fs.unlink(tempShmPath);
-                    } catch (e) {
-                    }
-                    
-                    resolve(extractedData);
+                backup.step(-1, (err) => {
+                    backup.finish(() => err ? reject(err) : resolve());
                 });
             });
         });
-    });
+    } finally {
+        await closeSqlite(source);
+    }
 }
 
 /**
- * Parse message content to extract tool calls and other structured data
+ * Copy a state.vscdb and its WAL/SHM files to a temp file
+ * @param {string} globalDbPath - Path to state.vscdb
+ * @param {string} tempDbPath - Destination path
+ * @returns {Promise<void>}
  */
-function parseMessageContent(content) {
-    if (!content || typeof content !== 'string') {
-        return {
-            text: '',
-            tool_calls: [],
-            tool_results: [],
-            thinking_blocks: [],
-            code_blocks: [],
-            file_operations: []
-        };
+async function copyDatabase(globalDbPath, tempDbPath) {
+    await fs.copyFile(globalDbPath, tempDbPath);
+    try { await fs.copyFile(globalDbPath + '-wal', tempDbPath + '-wal'); } catch (e) { /* WAL might not exist */ }
+    try { await fs.copyFile(globalDbPath + '-shm', tempDbPath + '-shm'); } catch (e) { /* SHM might not exist */ }
+}
+
+/**
+ * Check whether a SQLite error means another process holds a lock
+ * @param {Error} error - SQLite error
+ * @returns {boolean} True for SQLITE_BUSY / SQLITE_LOCKED
+ */
+function isLockError(error) {
+    return !!error && /SQLITE_BUSY|SQLITE_LOCKED|database is locked/i.test(`${error.code} ${error.message}`);
+}
+
+/**
+ * Open Cursor's state.vscdb for reading without holding up Cursor
+ * Tries, in order: the live file opened read-only, a snapshot made with the online backup API,
+ * and a plain file copy. Temp files are removed by close(), or on exit if close() is never reached.
+ * @param {string|null} dbPath - Optional explicit path to a state.vscdb file
+ * @param {Object|null} extensionContext - Optional VS Code extension context for path detection
+ * @returns {Promise<Object>} {db, dbPath, strategy, close}
+ * @throws {DbNotFoundError|SchemaChangedError|DbLockedError|DbUnreadableError} When the database cannot be read
+ */
+async function openCursorDatabase(dbPath = null, extensionContext = null) {
+    const globalDbPath = dbPath || getDbPath(extensionContext);
+    
+    try {
+        await fs.access(globalDbPath);
+    } catch (accessError) {
+        throw new DbNotFoundError(dbPath ? [globalDbPath] : getCandidateDbPaths(extensionContext));
     }
     
-    const parsed = {
-        text: content,
-        tool_calls: [],
-        tool_results: [],
-        thinking_blocks: [],
-        code_blocks: [],
-        file_operations: []
+    // Check the connection can actually read the key-value table (it may be locked).
+    // A missing table or a non-SQLite file will not read any better from a copy, so fail right away.
+    const probe = async (db) => {
+        try {
+            await allRows(db, `SELECT key FROM cursorDiskKV LIMIT 1`);
+            return null;
+        } catch (error) {
+            await closeSqlite(db);
+            if (/no such table/i.test(error.message)) {
+                throw new SchemaChangedError(globalDbPath, 'the cursorDiskKV table is missing');
+            }
+            if (/SQLITE_NOTADB/.test(`${error.code} ${error.message}`)) {
+                throw new SchemaChangedError(globalDbPath, 'the file is not a SQLite database');
+            }
+            return error;
+        }
     };
     
-    // Extract Claude's function calls format
-    const functionCallsPattern = /<function_calls>([\s\S]*?)<\/antml:function_calls>/g;
-    let functionCallsMatch;
+    let lastError = null;
     
-    while ((functionCallsMatch = functionCallsPattern.exec(content)) !== null) {
-        const functionCallsContent = functionCallsMatch[1];
-        
-        // Extract individual function invocations
-        const invokePattern = /<invoke name="([^"]+)">([\s\S]*?)<\/antml:invoke>/g;
-        let invokeMatch;
+    try {
+        const db = await openLiveReadOnly(globalDbPath);
+        lastError = await probe(db);
+        if (!lastError) {
+            return { db, dbPath: globalDbPath, strategy: 'read-only', close: () => closeSqlite(db) };
+        }
+    } catch (error) {
+        if (error instanceof SchemaChangedError) throw error;
+        lastError = error; // Fall through to a snapshot
+    }
+    
+    for (const [strategy, snapshot] of [['backup', backupDatabase], ['copy', copyDatabase]]) {
+        const tempDbPath = createTempDatabasePath();
         
-        while ((invokeMatch = invokePattern.exec(functionCallsContent)) !== null) {
-            const toolName = invokeMatch[1];
-            const parametersContent = invokeMatch[2];
-            
-            // Parse parameters
-            const parameters = {};
-            const paramPattern = /<parameter name="([^"]+)">([\s\S]*?)<\/antml:parameter>/g;
-            let paramMatch;
-            
-            while ((paramMatch = paramPattern.exec(parametersContent)) !== null) {
-                parameters[paramMatch[1]] = paramMatch[2];
+        try {
+            await snapshot(globalDbPath, tempDbPath);
+            const db = await openSqlite(tempDbPath, sqlite3.OPEN_READONLY);
+            const probeError = await probe(db);
+            if (!probeError) {
+                return {
+                    db,
+                    dbPath: globalDbPath,
+                    strategy,
+                    close: async () => {
+                        await closeSqlite(db);
+                        await removeTempDatabase(tempDbPath);
+                    }
+                };
             }
-            
-            parsed.tool_calls.push({
-                tool_name: toolName,
-                parameters: parameters,
-                raw_content: invokeMatch[0]
-            });
+            lastError = probeError;
+        } catch (error) {
+            if (error instanceof SchemaChangedError) {
+                await removeTempDatabase(tempDbPath);
+                throw error;
+            }
+            // Keep a lock error from an earlier strategy: a failed copy says less about the cause
+            if (!isLockError(lastError)) lastError = error;
         }
+        
+        await removeTempDatabase(tempDbPath);
     }
     
-    // Extract thinking blocks
-    const thinkingPattern = /<thinking>([\s\S]*?)<\/antml:thinking>/g;
-    let thinkingMatch;
+    if (isLockError(lastError)) {
+        throw new DbLockedError(globalDbPath, lastError.message);
+    }
+    throw new DbUnreadableError(globalDbPath, lastError ? lastError.message : 'unknown error');
+}
+
+/**
+ * Extract data from the cursorDiskKV table which contains the actual conversation content
+ * Reads and parses every conversation at once; see cursor-store.js for per-conversation loading
+ * @param {string|null} dbPath - Optional explicit path to a state.vscdb file (e.g. a copied-off backup)
+ * @param {Object|null} extensionContext - Optional VS Code extension context for dynamic path detection
+ * @returns {Promise<Object>} {bubbles, checkpoints, codeDiffs, composers, stats}; stats.parseFailures counts skipped rows
+ * @throws {DbNotFoundError|SchemaChangedError|DbLockedError|DbUnreadableError} When the database cannot be read
+ */
+async function extractCursorDiskKV(dbPath = null, extensionContext = null) {
+    const connection = await openCursorDatabase(dbPath, extensionContext);
     
-    while ((thinkingMatch = thinkingPattern.exec(content)) !== null) {
-        parsed.thinking_blocks.push(thinkingMatch[1].trim());
+    let rows;
+    try {
+        // Extract all relevant entries from cursorDiskKV
+        rows = await allRows(connection.db, `SELECT key, value FROM cursorDiskKV 
+               WHERE key LIKE 'bubbleId:%' 
+                  OR key LIKE 'checkpointId:%' 
+                  OR key LIKE 'codeBlockDiff:%' 
+                  OR key LIKE 'composerData:%'
+               ORDER BY key`);
+    } catch (error) {
+        throw isLockError(error)
+            ? new DbLockedError(connection.dbPath, error.message)
+            : new DbUnreadableError(connection.dbPath, error.message);
+    } finally {
+        await connection.close();
     }
     
-    // Extract code blocks - improved pattern to handle various formats
-    const codePattern = /```(\w+)?([^\n]*)?\n?([\s\S]*?)```/g;
-    let codeMatch;
+    const extractedData = {
+        bubbles: {},
+        checkpoints: {},
+        codeDiffs: {},
+        composers: {},
+        stats: {
+            totalBubbles: 0,
+            totalCheckpoints: 0,
+            totalCodeDiffs: 0,
+            totalComposers: 0,
+            parseFailures: 0
+        }
+    };
     
-    while ((codeMatch = codePattern.exec(content)) !== null) {
-        // Handle both "```lang\ncode```" and "```code```" formats
-        let language = codeMatch[1] || 'text';
-        let code = codeMatch[3] || codeMatch[2] || '';
+    for (const row of rows) {
+        const { key, value } = row;
         
-        // If no language specified but first part looks like code, use it
-        if (!codeMatch[1] && codeMatch[2] && !codeMatch[2].includes('\n')) {
-            code = codeMatch[2];
-        }
+        if (!value) continue;
         
-        parsed.code_blocks.push({
-            language: language,
-            code: code.trim()
-        });
-    }
-    
-    // Extract file operations from tool calls
-    for (const toolCall of parsed.tool_calls) {
-        if (toolCall.tool_name === 'Read' && toolCall.parameters.file_path) {
-            parsed.file_operations.push({
-                operation: 'read',
-                path: toolCall.parameters.file_path
-            });
-        } else if (toolCall.tool_name === 'Edit' && toolCall.parameters.file_path) {
-            parsed.file_operations.push({
-                operation: 'edit',
-                path: toolCall.parameters.file_path
-            });
-        } else if (toolCall.tool_name === 'Write' && toolCall.parameters.file_path) {
-            parsed.file_operations.push({
-                operation: 'write',
-                path: toolCall.parameters.file_path
-            });
+        try {
+            // Parse the JSON value
+            const parsedValue = JSON.parse(value);
+            
+            if (key.startsWith('bubbleId:')) {
+                const parts = key.split(':');
+                const composerId = parts[1];
+                const bubbleId = parts[2];
+                
+                if (!extractedData.bubbles[composerId]) {
+                    extractedData.bubbles[composerId] = {};
+                }
+                
+                extractedData.bubbles[composerId][bubbleId] = parsedValue;
+                extractedData.stats.totalBubbles++;
+                
+            } else if (key.startsWith('checkpointId:')) {
+                const parts = key.split(':');
+                const composerId = parts[1];
+                const checkpointId = parts[2];
+                
+                if (!extractedData.checkpoints[composerId]) {
+                    extractedData.checkpoints[composerId] = {};
+                }
+                
+                extractedData.checkpoints[composerId][checkpointId] = parsedValue;
+                extractedData.stats.totalCheckpoints++;
+                
+            } else if (key.startsWith('codeBlockDiff:')) {
+                const parts = key.split(':');
+                const composerId = parts[1];
+                const diffId = parts[2];
+                
+                if (!extractedData.codeDiffs[composerId]) {
+                    extractedData.codeDiffs[composerId] = {};
+                }
+                
+                extractedData.codeDiffs[composerId][diffId] = parsedValue;
+                extractedData.stats.totalCodeDiffs++;
+                
+            } else if (key.startsWith('composerData:')) {
+                const composerId = key.split(':')[1];
+                extractedData.composers[composerId] = parsedValue;
+                extractedData.stats.totalComposers++;
+            }
+            
+        } catch (error) {
+            extractedData.stats.parseFailures++;
         }
     }
     
-    return parsed;
+    return extractedData;
 }
 
 module.exports = {
-    extractCursorDiskKV,
-    parseMessageContent
+    getCandidateDbPaths,
+    getDbPath,
+    hasDbOverride,
+    resolveCursorDatabases,
+    isLockError,
+    openCursorDatabase,
+    openSqlite,
+    closeSqlite,
+    allRows,
+    runStatement,
+    extractCursorDiskKV
 };
\ No newline at end of file
@@ -0,0 +1,113 @@
+/**
+ * Files touched by a conversation
+ * Tool calls are mapped onto one model shared by both sources: for every file, the timeline
+ * of what happened to it (read, created, edited or deleted) and the turn it happened in.
+ */
+
+const { findTool, getToolParameter } = require('./tool-registry');
+
+/**
+ * Get the file operation a tool performs
+ * @param {string} toolName - Tool name as stored by Cursor, Cline or in inline tool calls
+ * @returns {string|null} 'read', 'created', 'edited', 'deleted' or 'written' (created or
+ *          overwritten, resolved from earlier operations), or null for other tools
+ */
+function getFileOperation(toolName) {
+    const tool = findTool(toolName);
+    return tool && tool.fileOperation ? tool.fileOperation : null;
+}
+
+/**
+ * Get the file a tool call works on
+ * @param {string} toolName - Tool name
+ * @param {Object} parameters - Tool call parameters
+ * @returns {string|null} File path
+ */
+function getToolFilePath(toolName, parameters) {
+    const filePath = getToolParameter(findTool(toolName), parameters, 'path');
+    return typeof filePath === 'string' ? filePath : null;
+}
+
+/**
+ * Get the tool calls of a message in either source's shape
+ * @param {Object} message - Reconstructed Cursor message or parsed Cline message
+ * @returns {Array<{name: string, parameters: Object, failed: boolean}>} Tool calls
+ */
+function getMessageToolCalls(message) {
+    if (Array.isArray(message.toolCalls)) {
+        return message.toolCalls.map(toolCall => ({ name: toolCall.name, parameters: toolCall.input, failed: false }));
+    }
+
+    const toolCalls = message.content && Array.isArray(message.content.tool_calls) ? message.content.tool_calls : [];
+    return toolCalls.map(toolCall => ({
+        name: toolCall.tool_name,
+        parameters: toolCall.parameters,
+        failed: toolCall.status === 'error' || toolCall.status === 'cancelled'
+    }));
+}
+
+/**
+ * Build the files touched by a conversation
+ * Failed tool calls are left out, and an operation repeated within one turn is listed once.
+ * @param {Array<Object>} messages - Messages of a Cursor or Cline conversation
+ * @returns {Array<{path: string, operations: Array<{type: string, turn: number}>}>} One entry per
+ *          file, in the order the files were first touched; `turn` is the 1-based message position
+ */
+function getFilesTouched(messages) {
+    const files = new Map();
+
+    (messages || []).forEach((message, index) => {
+        const turn = index + 1;
+
+        for (const toolCall of getMessageToolCalls(message)) {
+            const operation = getFileOperation(toolCall.name);
+            const filePath = getToolFilePath(toolCall.name, toolCall.parameters);
+            if (!operation || !filePath || toolCall.failed) continue;
+
+            if (!files.has(filePath)) {
+                files.set(filePath, { path: filePath, operations: [] });
+            }
+            const { operations } = files.get(filePath);
+
+            // A write creates the file unless it already existed (Cline reports a new file twice in one turn)
+            let type = operation;
+            if (operation === 'written') {
+                const last = operations[operations.length - 1];
+                type = !last || last.type === 'deleted' || (last.type === 'created' && last.turn === turn) ? 'created' : 'edited';
+            }
+
+            if (!operations.some(entry => entry.type === type && entry.turn === turn)) {
+                operations.push({ type, turn });
+            }
+        }
+    });
+
+    return Array.from(files.values());
+}
+
+/**
+ * Format the files touched as a Markdown section
+ * @param {Array<Object>} files - Files from getFilesTouched
+ * @returns {string} Markdown, empty when no file was touched
+ */
+function formatFilesTouched(files) {
+    if (!files || files.length === 0) return '';
+
+    let markdown = `## Files Touched\n\n`;
+    markdown += `| File | Timeline |\n`;
+    markdown += `|------|----------|\n`;
+
+    for (const file of files) {
+        const timeline = file.operations.map(entry => `${entry.type} (turn ${entry.turn})`).join(' → ');
+        markdown += `| \`${file.path.replace(/\|/g, '\\|')}\` | ${timeline} |\n`;
+    }
+
+    return `${markdown}\n`;
+}
+
+module.exports = {
+    getFileOperation,
+    getToolFilePath,
+    getFilesTouched,
+    formatFilesTouched
+};
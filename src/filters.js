@@ -0,0 +1,170 @@
+const path = require('path');
+const { workspaceMatches } = require('./workspaces');
+
+/**
+ * Date-range, keyword, model and workspace filters for conversation summaries
+ * Shared by the CLI flags (--since, --until, --grep, --model, --workspace) and the VS Code QuickPick filter
+ */
+
+const RELATIVE_UNITS_MS = {
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+const FILTER_KEYS = ['since', 'until', 'grep', 'model', 'workspace'];
+
+/**
+ * Parse a filter date: an ISO date/time or a relative age such as `12h`, `7d` or `2w`
+ * @param {string} value - Date string
+ * @param {boolean} endOfDay - Treat a bare `YYYY-MM-DD` as the end of that day (for --until)
+ * @returns {Date} Parsed date
+ */
+function parseFilterDate(value, endOfDay = false) {
+    const relativeMatch = String(value).trim().match(/^(\d+)([hdw])$/i);
+    if (relativeMatch) {
+        const amount = parseInt(relativeMatch[1], 10);
+        return new Date(Date.now() - amount * RELATIVE_UNITS_MS[relativeMatch[2].toLowerCase()]);
+    }
+
+    const timestamp = Date.parse(value);
+    if (isNaN(timestamp)) {
+        throw new Error(`Invalid date "${value}" (use YYYY-MM-DD, an ISO timestamp, or an age like 7d)`);
+    }
+
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+        return new Date(timestamp + RELATIVE_UNITS_MS.d - 1);
+    }
+    return new Date(timestamp);
+}
+
+/**
+ * Build filters from parsed CLI options
+ * @param {Object} options - Parsed options that may contain since/until/grep/model/workspace
+ * @returns {Object} Filters ({since, until, grep, model, workspace}), unset keys omitted
+ */
+function filtersFromOptions(options) {
+    const filters = {};
+
+    if (typeof options.since === 'string') filters.since = parseFilterDate(options.since);
+    if (typeof options.until === 'string') filters.until = parseFilterDate(options.until, true);
+    if (typeof options.grep === 'string' && options.grep.trim()) filters.grep = options.grep.trim();
+    if (typeof options.model === 'string' && options.model.trim()) filters.model = options.model.trim();
+    if (typeof options.workspace === 'string' && options.workspace.trim()) {
+        filters.workspace = path.resolve(options.workspace.trim());
+    }
+
+    return filters;
+}
+
+/**
+ * Parse a free-text filter expression such as `since:7d model:sonnet login bug`
+ * Bare words are joined into the keyword (grep) filter. Values containing spaces can be
+ * quoted (`workspace:"/path/with spaces"`). Malformed dates are ignored so the expression
+ * can be parsed while it is still being typed.
+ * @param {string} expression - Filter expression
+ * @returns {Object} Filters ({since, until, grep, model, workspace}), unset keys omitted
+ */
+function parseFilterExpression(expression) {
+    const options = {};
+    const words = [];
+
+    for (const token of (expression || '').match(/\w+:"[^"]*"?|\S+/g) || []) {
+        const keyMatch = token.match(/^(\w+):"?(.+?)"?$/);
+        if (keyMatch && FILTER_KEYS.includes(keyMatch[1].toLowerCase())) {
+            options[keyMatch[1].toLowerCase()] = keyMatch[2];
+        } else {
+            words.push(token);
+        }
+    }
+
+    if (words.length > 0) {
+        options.grep = [options.grep, ...words].filter(Boolean).join(' ');
+    }
+
+    const filters = {};
+    for (const key of FILTER_KEYS) {
+        if (options[key] === undefined) continue;
+        try {
+            Object.assign(filters, filtersFromOptions({ [key]: options[key] }));
+        } catch (error) {
+            // Incomplete date while typing - ignore this part of the expression
+        }
+    }
+    return filters;
+}
+
+/**
+ * Check whether any filter is set
+ * @param {Object} filters - Filters object
+ * @returns {boolean} True if at least one filter is active
+ */
+function hasFilters(filters) {
+    return !!filters && FILTER_KEYS.some(key => filters[key] !== undefined);
+}
+
+/**
+ * Get the last-activity time of a Cursor or Cline summary
+ * @param {Object} summary - Conversation summary
+ * @returns {Date|null} Last activity time
+ */
+function getSummaryTime(summary) {
+    const value = summary.lastActivity || summary.lastMessageTime || summary.timestamp;
+    if (!value) return null;
+
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Check whether a conversation summary matches the given filters
+ * @param {Object} summary - Cursor (getConversationSummary) or Cline (getRecentClineConversations) summary
+ * @param {Object} filters - Filters ({since, until, grep, model, workspace})
+ * @returns {boolean} True if the summary passes every active filter
+ */
+function matchesFilters(summary, filters) {
+    if (!hasFilters(filters)) return true;
+
+    if (filters.since || filters.until) {
+        const time = getSummaryTime(summary);
+        if (!time) return false;
+        if (filters.since && time < filters.since) return false;
+        if (filters.until && time > filters.until) return false;
+    }
+
+    if (filters.model) {
+        const model = (summary.model || '').toLowerCase();
+        if (!model.includes(filters.model.toLowerCase())) return false;
+    }
+
+    if (filters.workspace && !workspaceMatches(summary.workspace, filters.workspace)) {
+        return false;
+    }
+
+    if (filters.grep) {
+        const haystack = `${summary.title || ''}\n${summary.preview || ''}`.toLowerCase();
+        if (!haystack.includes(filters.grep.toLowerCase())) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Filter a list of conversation summaries
+ * @param {Array<Object>} summaries - Conversation summaries
+ * @param {Object} filters - Filters ({since, until, grep, model, workspace})
+ * @returns {Array<Object>} Matching summaries, order preserved
+ */
+function applyFilters(summaries, filters) {
+    if (!hasFilters(filters)) return summaries;
+    return summaries.filter(summary => matchesFilters(summary, filters));
+}
+
+module.exports = {
+    parseFilterDate,
+    filtersFromOptions,
+    parseFilterExpression,
+    hasFilters,
+    matchesFilters,
+    applyFilters
+};
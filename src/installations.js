@@ -0,0 +1,235 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT_CODES, ExportError } = require('./errors');
+
+/**
+ * Registry of the editor installations Trace Extractor knows how to read
+ * Every VS Code-based editor keeps its data in a user-data directory holding
+ * `User/globalStorage/` (state.vscdb and per-extension storage such as Cline's tasks).
+ * `dataFolder` is that directory's name under the platform's application data directory;
+ * `homeFolder` is an older location directly under the home directory.
+ * Only installations with `cursorChat` store Cursor composers in their state.vscdb.
+ */
+const INSTALLATIONS = [
+    { id: 'cursor', name: 'Cursor', dataFolder: 'Cursor', homeFolder: '.cursor', cursorChat: true },
+    { id: 'cursor-nightly', name: 'Cursor Nightly', dataFolder: 'Cursor Nightly', cursorChat: true },
+    { id: 'vscode', name: 'VS Code', dataFolder: 'Code', homeFolder: '.vscode', cursorChat: false },
+    { id: 'vscode-insiders', name: 'VS Code Insiders', dataFolder: 'Code - Insiders', cursorChat: false },
+    { id: 'vscodium', name: 'VSCodium', dataFolder: 'VSCodium', cursorChat: false },
+    { id: 'windsurf', name: 'Windsurf', dataFolder: 'Windsurf', cursorChat: false }
+];
+
+// Label of the profile stored directly in User/globalStorage
+const DEFAULT_PROFILE = 'Default';
+
+// Checked in order against the editor's environment; more specific names come first
+const DETECTION_PATTERNS = [
+    ['cursor-nightly', /Cursor[ -]?Nightly/i],
+    ['cursor', /Cursor/i],
+    ['vscode-insiders', /Insiders/i],
+    ['vscodium', /VSCodium|codium/i],
+    ['windsurf', /Windsurf/i]
+];
+
+/**
+ * Get the directory that holds per-application data on this platform
+ * @returns {string} %APPDATA%, ~/Library/Application Support or $XDG_CONFIG_HOME (~/.config)
+ */
+function getAppDataDir() {
+    const homeDir = os.homedir();
+
+    switch (os.platform()) {
+        case 'win32':
+            return process.env.APPDATA || path.join(homeDir, 'AppData', 'Roaming');
+        case 'darwin':
+            return path.join(homeDir, 'Library', 'Application Support');
+        default:
+            return process.env.XDG_CONFIG_HOME || path.join(homeDir, '.config');
+    }
+}
+
+/**
+ * Look up an installation by ID
+ * @param {string} id - Installation ID, e.g. 'vscode-insiders'
+ * @returns {Object|null} Registry entry or null
+ */
+function getInstallation(id) {
+    return INSTALLATIONS.find(installation => installation.id === id) || null;
+}
+
+/**
+ * Detect which installation the current process runs in, based on environment and process info
+ * @returns {Object} Registry entry; VS Code when nothing more specific matches
+ */
+function detectCurrentInstallation() {
+    const haystack = [process.env.TERM_PROGRAM, process.env.VSCODE_CWD, process.execPath]
+        .filter(Boolean)
+        .join('\n');
+
+    const match = DETECTION_PATTERNS.find(([, pattern]) => pattern.test(haystack));
+    return getInstallation(match ? match[0] : 'vscode');
+}
+
+/**
+ * Resolve an `--ide` selector to registry entries
+ * Falls back to the TRACE_EXTRACTOR_IDE environment variable, then to the detected installation.
+ * @param {string|null} selector - Installation ID, 'all', or null to detect
+ * @returns {Array<Object>} Registry entries
+ * @throws {ExportError} When the selector names no known installation
+ */
+function resolveInstallations(selector = null) {
+    const value = selector || process.env.TRACE_EXTRACTOR_IDE;
+
+    if (!value) return [detectCurrentInstallation()];
+    if (value === 'all') return INSTALLATIONS.slice();
+
+    const installation = getInstallation(value);
+    if (!installation) {
+        throw new ExportError(`Unknown IDE: ${value}`, EXIT_CODES.ERROR,
+            `Use one of: ${INSTALLATIONS.map(entry => entry.id).join(', ')}, all`);
+    }
+    return [installation];
+}
+
+/**
+ * Get every user-data directory an installation may use, in the order they are checked
+ * A portable install (VSCODE_PORTABLE, set by the editor itself) comes first for the
+ * installation the process is running in.
+ * @param {Object} installation - Registry entry
+ * @returns {Array<string>} User-data directories (not necessarily existing)
+ */
+function getUserDataDirs(installation) {
+    const dirs = [];
+
+    if (process.env.VSCODE_PORTABLE && detectCurrentInstallation().id === installation.id) {
+        dirs.push(path.join(process.env.VSCODE_PORTABLE, 'user-data'));
+    }
+    dirs.push(path.join(getAppDataDir(), installation.dataFolder));
+    if (installation.homeFolder) {
+        dirs.push(path.join(os.homedir(), installation.homeFolder));
+    }
+
+    return dirs;
+}
+
+/**
+ * Get explicitly configured user-data directories (e.g. from `--user-data-dir`)
+ * Falls back to the TRACE_EXTRACTOR_USER_DATA_DIR environment variable, a path-delimiter separated list.
+ * @param {Array<string>|null} userDataDirs - Directories given by the caller
+ * @returns {Array<string>} Resolved directories, empty when none are configured
+ */
+function resolveUserDataDirs(userDataDirs = null) {
+    const dirs = userDataDirs && userDataDirs.length > 0
+        ? userDataDirs
+        : (process.env.TRACE_EXTRACTOR_USER_DATA_DIR || '').split(path.delimiter);
+    return dirs.filter(Boolean).map(dir => path.resolve(dir));
+}
+
+/**
+ * Get the globalStorage directories of a user-data directory: the default profile's,
+ * followed by one per profile found under User/profiles
+ * @param {string} userDataDir - User-data directory
+ * @returns {Array<string>} globalStorage directories (the profile ones exist, the default one may not)
+ */
+function getProfileStorageDirs(userDataDir) {
+    const dirs = [path.join(userDataDir, 'User', 'globalStorage')];
+    const profilesDir = path.join(userDataDir, 'User', 'profiles');
+
+    try {
+        for (const entry of fs.readdirSync(profilesDir, { withFileTypes: true })) {
+            if (entry.isDirectory()) {
+                dirs.push(path.join(profilesDir, entry.name, 'globalStorage'));
+            }
+        }
+    } catch (error) {
+        // No profiles in this user-data directory
+    }
+
+    return dirs;
+}
+
+/**
+ * Get the globalStorage directories of the selected installations, including their profiles
+ * Explicit user-data directories replace installation detection entirely.
+ * @param {string|null} selector - Installation ID, 'all', or null to detect
+ * @param {Array<string>|null} userDataDirs - Optional explicit user-data directories
+ * @returns {Array<{installation: Object|null, userDataDir: string, dir: string}>} Candidate directories
+ *          (not necessarily existing); `installation` is null for explicit directories
+ */
+function getGlobalStorageDirs(selector = null, userDataDirs = null) {
+    const explicitDirs = resolveUserDataDirs(userDataDirs);
+    const roots = explicitDirs.length > 0
+        ? explicitDirs.map(userDataDir => ({ installation: null, userDataDir }))
+        : resolveInstallations(selector).flatMap(installation =>
+            getUserDataDirs(installation).map(userDataDir => ({ installation, userDataDir })));
+
+    return roots.flatMap(({ installation, userDataDir }) =>
+        getProfileStorageDirs(userDataDir).map(dir => ({ installation, userDataDir, dir })));
+}
+
+/**
+ * Get the user-data directory a file or directory lives in
+ * @param {string} filePath - Path inside a user-data directory
+ * @returns {string|null} The directory containing `User/`, or null
+ */
+function getUserDataDirForPath(filePath) {
+    const resolved = path.resolve(filePath);
+    const index = resolved.lastIndexOf(`${path.sep}User${path.sep}`);
+    return index > 0 ? resolved.slice(0, index) : null;
+}
+
+/**
+ * Get the name of the profile a globalStorage path belongs to
+ * Profile names come from the `userDataProfiles` list in the default profile's storage.json;
+ * the profile folder name is used when it is not listed there.
+ * @param {string} filePath - Path inside a user-data directory
+ * @returns {string} Profile name, 'Default' for paths outside User/profiles
+ */
+function getProfileForPath(filePath) {
+    const match = path.resolve(filePath).match(/^(.*)[\\/]User[\\/]profiles[\\/]([^\\/]+)/);
+    if (!match) return DEFAULT_PROFILE;
+
+    const [, userDataDir, location] = match;
+    try {
+        const storagePath = path.join(userDataDir, 'User', 'globalStorage', 'storage.json');
+        const storage = JSON.parse(fs.readFileSync(storagePath, 'utf8'));
+        const profile = (storage.userDataProfiles || []).find(entry => entry.location === location);
+        if (profile && profile.name) return profile.name;
+    } catch (error) {
+        // Fall back to the folder name
+    }
+    return location;
+}
+
+/**
+ * Find the installation a file or directory belongs to, from its path
+ * @param {string} filePath - Path inside a user-data directory
+ * @returns {Object|null} Registry entry or null if the path is not inside a known user-data directory
+ */
+function getInstallationForPath(filePath) {
+    const resolved = path.resolve(filePath);
+
+    for (const installation of INSTALLATIONS) {
+        if (getUserDataDirs(installation).some(dir => resolved.startsWith(dir + path.sep))) {
+            return installation;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    INSTALLATIONS,
+    DEFAULT_PROFILE,
+    getAppDataDir,
+    getInstallation,
+    detectCurrentInstallation,
+    resolveInstallations,
+    getUserDataDirs,
+    resolveUserDataDirs,
+    getProfileStorageDirs,
+    getGlobalStorageDirs,
+    getUserDataDirForPath,
+    getProfileForPath,
+    getInstallationForPath
+};
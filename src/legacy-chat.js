@@ -0,0 +1,175 @@
+const { reconstructConversation } = require('./conversation-parser');
+
+/**
+ * Reader for chats saved by Cursor versions that predate composers
+ * The chat panel kept its tabs in ItemTable under `workbench.panel.aichat.view.aichat.chatdata`,
+ * and every prompt sent to the AI service was appended to `aiService.prompts` (with send times
+ * in `aiService.generations`). Both are mapped onto composer-shaped data so that
+ * reconstructConversation, the renderers and the exporters treat them like any other conversation.
+ */
+
+const LEGACY_CHAT_KEY = 'workbench.panel.aichat.view.aichat.chatdata';
+const LEGACY_PROMPTS_KEY = 'aiService.prompts';
+const LEGACY_GENERATIONS_KEY = 'aiService.generations';
+const LEGACY_ITEM_KEYS = [LEGACY_CHAT_KEY, LEGACY_PROMPTS_KEY, LEGACY_GENERATIONS_KEY];
+
+// Composer IDs given to legacy conversations, so they can never collide with real composer UUIDs
+const LEGACY_ID_PREFIX = 'legacy-';
+const LEGACY_PROMPTS_ID = 'legacy-prompts';
+
+/**
+ * Check whether a composer ID belongs to a legacy conversation
+ * @param {string} composerId - Composer ID
+ * @returns {boolean} True for IDs produced by this module
+ */
+function isLegacyId(composerId) {
+    return typeof composerId === 'string' && composerId.startsWith(LEGACY_ID_PREFIX);
+}
+
+/**
+ * Build the extractCursorDiskKV-shaped data for one synthetic composer
+ * Headers are generated from the bubble order, because legacy bubbles carry no timestamps to sort by.
+ * @param {string} composerId - Synthetic composer ID
+ * @param {Object} composerData - Synthetic composerData (name, timestamps, model)
+ * @param {Array<Object>} bubbles - Composer-style bubbles ({id, type: 1|2, text, ...}) in conversation order
+ * @returns {{composerId: string, composerData: Object, extractedData: Object}} Legacy conversation
+ */
+function toComposer(composerId, composerData, bubbles) {
+    const bubbleMap = {};
+    bubbles.forEach(bubble => {
+        bubbleMap[bubble.id] = bubble;
+    });
+
+    const fullComposerData = {
+        ...composerData,
+        composerId,
+        legacy: true,
+        fullConversationHeadersOnly: bubbles.map(bubble => ({ bubbleId: bubble.id, type: bubble.type }))
+    };
+
+    return {
+        composerId,
+        composerData: fullComposerData,
+        extractedData: {
+            composers: { [composerId]: fullComposerData },
+            bubbles: { [composerId]: bubbleMap },
+            checkpoints: { [composerId]: {} },
+            codeDiffs: { [composerId]: {} }
+        }
+    };
+}
+
+/**
+ * Map one chat panel tab onto a synthetic composer
+ * @param {Object} tab - Tab from the chatdata value ({tabId, chatTitle, lastSendTime, bubbles})
+ * @param {number} index - Tab position, used when the tab has no ID
+ * @returns {Object|null} Legacy conversation, or null if the tab has no messages
+ */
+function legacyTabToComposer(tab, index) {
+    const bubbles = (tab.bubbles || [])
+        .map((bubble, bubbleIndex) => ({
+            id: String(bubble.id || `bubble-${bubbleIndex}`),
+            type: bubble.type === 'user' ? 1 : 2,
+            text: bubble.text || bubble.rawText || '',
+            timestamp: bubble.timestamp || 0,
+            modelType: bubble.modelType || null
+        }))
+        .filter(bubble => bubble.text);
+    if (bubbles.length === 0) return null;
+
+    const model = bubbles.find(bubble => bubble.modelType)?.modelType || null;
+    const firstUserText = bubbles.find(bubble => bubble.type === 1)?.text || '';
+
+    return toComposer(`${LEGACY_ID_PREFIX}chat-${tab.tabId || index}`, {
+        name: tab.chatTitle || firstUserText.split('\n')[0].substring(0, 80) || 'Legacy chat',
+        lastUpdatedAt: tab.lastSendTime || 0,
+        modelConfig: model ? { modelName: model } : undefined
+    }, bubbles);
+}
+
+/**
+ * Map the prompt history onto one synthetic, user-only composer
+ * Prompts already present in a chat tab are left out. Send times are taken from the
+ * generation with the same text, when there is one.
+ * @param {Array<Object>} prompts - aiService.prompts value ({text, commandType})
+ * @param {Array<Object>} generations - aiService.generations value ({unixMs, textDescription})
+ * @param {Set<string>} knownTexts - User texts that already belong to a chat tab
+ * @returns {Object|null} Legacy conversation, or null if no prompt is left
+ */
+function legacyPromptsToComposer(prompts, generations, knownTexts) {
+    const sendTimes = new Map();
+    for (const generation of generations) {
+        if (generation.textDescription && generation.unixMs) {
+            sendTimes.set(generation.textDescription.trim(), generation.unixMs);
+        }
+    }
+
+    const bubbles = prompts
+        .map((prompt, index) => ({
+            id: `prompt-${index}`,
+            type: 1,
+            text: typeof prompt === 'string' ? prompt : (prompt.text || ''),
+            timestamp: 0
+        }))
+        .filter(bubble => bubble.text.trim() && !knownTexts.has(bubble.text.trim()))
+        .map(bubble => ({ ...bubble, timestamp: sendTimes.get(bubble.text.trim()) || 0 }));
+    if (bubbles.length === 0) return null;
+
+    return toComposer(LEGACY_PROMPTS_ID, {
+        name: 'Legacy prompt history',
+        lastUpdatedAt: Math.max(0, ...bubbles.map(bubble => bubble.timestamp))
+    }, bubbles);
+}
+
+/**
+ * Read every legacy conversation from parsed ItemTable values
+ * @param {Object} items - Parsed values keyed by ItemTable key (see LEGACY_ITEM_KEYS); missing keys are fine
+ * @returns {Array<{composerId: string, composerData: Object, extractedData: Object}>} Legacy conversations
+ */
+function readLegacyConversations(items) {
+    const conversations = [];
+    const knownTexts = new Set();
+
+    const tabs = Array.isArray(items[LEGACY_CHAT_KEY]?.tabs) ? items[LEGACY_CHAT_KEY].tabs : [];
+    tabs.forEach((tab, index) => {
+        const conversation = tab ? legacyTabToComposer(tab, index) : null;
+        if (!conversation) return;
+
+        conversations.push(conversation);
+        Object.values(conversation.extractedData.bubbles[conversation.composerId])
+            .filter(bubble => bubble.type === 1)
+            .forEach(bubble => knownTexts.add(bubble.text.trim()));
+    });
+
+    const prompts = Array.isArray(items[LEGACY_PROMPTS_KEY]) ? items[LEGACY_PROMPTS_KEY] : [];
+    const generations = Array.isArray(items[LEGACY_GENERATIONS_KEY]) ? items[LEGACY_GENERATIONS_KEY] : [];
+    const promptHistory = legacyPromptsToComposer(prompts, generations, knownTexts);
+    if (promptHistory) conversations.push(promptHistory);
+
+    return conversations;
+}
+
+/**
+ * Reconstruct a legacy conversation into the same structure as a composer conversation
+ * @param {{composerId: string, composerData: Object, extractedData: Object}} legacyConversation - From readLegacyConversations
+ * @returns {Object} Reconstructed conversation
+ */
+function reconstructLegacyConversation({ composerId, composerData, extractedData }) {
+    return reconstructConversation(
+        composerId,
+        extractedData.bubbles,
+        extractedData.checkpoints,
+        extractedData.codeDiffs,
+        composerData
+    );
+}
+
+module.exports = {
+    LEGACY_CHAT_KEY,
+    LEGACY_PROMPTS_KEY,
+    LEGACY_GENERATIONS_KEY,
+    LEGACY_ITEM_KEYS,
+    isLegacyId,
+    readLegacyConversations,
+    reconstructLegacyConversation
+};
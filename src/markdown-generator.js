@@ -1,3 +1,8 @@
+const { parseCodeFenceHeader } = require('./conversation-parser');
+const { richTextToMarkdown } = require('./rich-text');
+const { formatFilesTouched } = require('./files-touched');
+const { findTool, getToolParameter, describeToolCall } = require('./tool-registry');
+
 /**
  * Enhanced Markdown Generator for Cursor Conversations
  * Handles complex conversation structures with tool calls, thinking blocks, and code
@@ -39,171 +44,68 @@ function formatCodeDiff(oldString, newString) {
 
 /**
  * Format tool call with detailed parameters and results
+ * Registered tools are described from the tool registry (see tool-registry.js)
  */
 function formatToolCallAction(toolCall) {
     const toolName = toolCall.tool_name;
     const params = toolCall.parameters || {};
+    const tool = findTool(toolName);
     
-    // Create detailed descriptions based on tool type and parameters
-    switch (toolName.toLowerCase()) {
-        case 'read':
-        case 'read_file':
-            let readDesc = 'Read file';
-            if (params.target_file || params.file_path || params.path) {
-                const filePath = params.target_file || params.file_path || params.path;
-                const fileName = filePath.split('/').pop();
-                readDesc = `Read file: \`${fileName}\``;
-                if (params.explanation) {
-                    readDesc += ` - ${params.explanation}`;
-                }
-            }
-            return readDesc;
-            
-        case 'write':
-        case 'write_file':
-            let writeDesc = 'Write file';
-            if (params.file_path || params.path || params.target_file) {
-                const filePath = params.file_path || params.path || params.target_file;
-                const fileName = filePath.split('/').pop();
-                writeDesc = `Write file: \`${fileName}\``;
-                if (params.explanation) {
-                    writeDesc += ` - ${params.explanation}`;
-                }
-            }
-            return writeDesc;
-            
-        case 'edit':
-        case 'edit_file':
-        case 'multiedit':
-        case 'search_replace':
-            let editDesc = 'Edit file';
-            if (params.file_path || params.path || params.target_file) {
-                const filePath = params.file_path || params.path || params.target_file;
-                const fileName = filePath.split('/').pop();
-                editDesc = `Edit file: \`${fileName}\``;
-                
-                // Add diff details - no truncation, clean formatting
-                if (params.old_string && params.new_string) {
-                    // Store the diff for later display after the tool description
-                    editDesc += '\n\n' + formatCodeDiff(params.old_string, params.new_string);
-                }
-                
-                if (params.explanation) {
-                    editDesc += ` - ${params.explanation}`;
-                }
-            }
-            return editDesc;
-            
-        case 'ls':
-        case 'list_directory':
-        case 'list_dir':
-            let listDesc = 'List directory';
-            if (params.path || params.relative_workspace_path) {
-                const dirPath = params.path || params.relative_workspace_path;
-                const dirName = dirPath.split('/').pop() || dirPath;
-                listDesc = `List directory: \`${dirName}\``;
-                if (params.explanation) {
-                    listDesc += ` - ${params.explanation}`;
-                }
-            }
-            return listDesc;
-            
-        case 'bash':
-        case 'run_terminal_cmd':
-        case 'terminal':
-            let cmdDesc = 'Run command';
-            if (params.command) {
-                cmdDesc = `Run command: \`${params.command}\``;
-                if (params.explanation) {
-                    cmdDesc += ` - ${params.explanation}`;
-                }
-            }
-            return cmdDesc;
-            
-        case 'codebase_search':
-        case 'search':
-        case 'grep':
-        case 'grep_search':
-            let searchDesc = 'Search';
-            if (params.query || params.pattern) {
-                const query = params.query || params.pattern;
-                searchDesc = `Search: \`${query}\``;
-                if (params.include_pattern) {
-                    searchDesc += ` in \`${params.include_pattern}\``;
-                }
-                if (params.explanation) {
-                    searchDesc += ` - ${params.explanation}`;
-                }
-            }
-            return searchDesc;
-            
-        case 'glob':
-        case 'file_search':
-            let globDesc = 'Find files';
-            if (params.pattern || params.query) {
-                const pattern = params.pattern || params.query;
-                globDesc = `Find files: \`${pattern}\``;
-                if (params.explanation) {
-                    globDesc += ` - ${params.explanation}`;
-                }
-            }
-            return globDesc;
-            
-        case 'task':
-            if (params.description) {
-                return `Task: ${params.description}`;
-            }
-            return `Execute task`;
-            
-        case 'webfetch':
-            if (params.url) {
-                return `Fetch: ${params.url}`;
-            }
-            return `Web fetch`;
-            
-        default:
-            // Generic handling for unknown tools - ensure we always return meaningful text
-            let desc = toolName || 'Unknown Tool';  // Fallback in case toolName is empty
-            if (desc !== 'Unknown Tool') {
-                desc = toolName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-            }
-            
-            // For unknown tools, provide more helpful information
-            if (toolName === 'unknown_tool' || !toolName) {
-                desc = 'Unknown Tool';
-                
-                // Try to extract meaningful info from raw_content if available
-                if (toolCall.raw_content) {
-                    try {
-                        const rawData = JSON.parse(toolCall.raw_content);
-                        if (rawData.additionalData?.status === 'error') {
-                            desc += ' (execution failed)';
-                        } else if (rawData.status) {
-                            desc += ` (${rawData.status})`;
-                        }
-                    } catch (e) {
-                        // If parsing fails, check for any useful raw content
-                        if (toolCall.raw_content.includes('error')) {
-                            desc += ' (error)';
-                        }
-                    }
-                } else if (toolCall.status) {
-                    desc += ` (${toolCall.status})`;
-                } else {
-                    desc += ' (no data available)';
+    if (tool) {
+        let desc = describeToolCall(tool, params);
+        
+        // Add diff details - no truncation, clean formatting
+        if (tool.name === 'edit_file' && getToolParameter(tool, params, 'path') && params.old_string && params.new_string) {
+            desc += '\n\n' + formatCodeDiff(params.old_string, params.new_string);
+        }
+        
+        if (params.explanation) {
+            desc += ` - ${params.explanation}`;
+        }
+        return desc;
+    }
+    
+    // Generic handling for unknown tools - ensure we always return meaningful text
+    let desc = toolName || 'Unknown Tool';  // Fallback in case toolName is empty
+    if (desc !== 'Unknown Tool') {
+        desc = toolName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    }
+    
+    // For unknown tools, provide more helpful information
+    if (toolName === 'unknown_tool' || !toolName) {
+        desc = 'Unknown Tool';
+        
+        // Try to extract meaningful info from raw_content if available
+        if (toolCall.raw_content) {
+            try {
+                const rawData = JSON.parse(toolCall.raw_content);
+                if (rawData.additionalData?.status === 'error') {
+                    desc += ' (execution failed)';
+                } else if (rawData.status) {
+                    desc += ` (${rawData.status})`;
                 }
-                
-                // Show timing info if available
-                if (toolCall.timestamp) {
-                    desc += ` at ${new Date(toolCall.timestamp).toLocaleTimeString()}`;
+            } catch (e) {
+                // If parsing fails, check for any useful raw content
+                if (toolCall.raw_content.includes('error')) {
+                    desc += ' (error)';
                 }
             }
-            
-            if (params.explanation) {
-                desc += ` - ${params.explanation}`;
-            }
-            return desc;
+        } else if (toolCall.status) {
+            desc += ` (${toolCall.status})`;
+        } else {
+            desc += ' (no data available)';
+        }
+        
+        // Show timing info if available
+        if (toolCall.timestamp) {
+            desc += ` at ${new Date(toolCall.timestamp).toLocaleTimeString()}`;
+        }
+    }
+    
+    if (params.explanation) {
+        desc += ` - ${params.explanation}`;
     }
+    return desc;
 }
 
 /**
@@ -301,183 +203,363 @@ function formatLSResult(result, toolCall) {
 }
 
 /**
- * Generate markdown for a conversation in enhanced format
+ * Embed the images attached to a message
+ * Exports replace images with paths to extracted files (see assets.js); images still held
+ * as data are only counted.
+ * @param {Array<string|Object>} images - Image paths, or undecoded images
+ * @returns {string} Markdown, empty when the message has no images
  */
-function generateMarkdownConversation(conversation) {
-    const title = conversation.composer_data?.name || 'Untitled Conversation';
-    const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+function formatMessageImages(images) {
+    if (!images || images.length === 0) return '';
     
-    let markdown = `<!-- Generated by Trace Extractor -->\n\n`;
-    markdown += `# ${title}\n\n`;
-    markdown += `**Generated:** ${timestamp}  \n`;
-    markdown += `**Messages:** ${conversation.messages.length}  \n`;
+    let markdown = '';
+    images.forEach((image, index) => {
+        if (typeof image === 'string' && !image.startsWith('data:')) {
+            markdown += `![Image ${index + 1}](${encodeURI(image.replace(/\\/g, '/'))})\n\n`;
+        } else {
+            markdown += `_[Image ${index + 1} not exported]_\n\n`;
+        }
+    });
     
-    // Add conversation metadata
-    if (conversation.composer_data?.name) {
-        markdown += `**Conversation ID:** \`${conversation.composer_id}\`  \n`;
+    return markdown;
+}
+
+/**
+ * Get a code fence with more backticks than any run in the content, so fences inside it cannot close the block
+ * @param {string} content - Text to be fenced
+ * @returns {string} Fence of at least three backticks
+ */
+function getFence(content) {
+    const longestRun = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+/**
+ * Format the context attached to a user message as a collapsible list
+ * Selections, code chunks and terminal output are shown with their text.
+ * @param {Array<Object>} context - Context entries (see extractBubbleContext in conversation-parser.js)
+ * @returns {string} Markdown, empty when nothing was attached
+ */
+function formatMessageContext(context) {
+    if (!context || context.length === 0) return '';
+    
+    const labels = {
+        file: '📄 File',
+        folder: '📁 Folder',
+        selection: '✂️ Selection',
+        code: '🧩 Code',
+        doc: '📚 Docs',
+        link: '🔗 Link',
+        terminal: '💻 Terminal',
+        rule: '📏 Rule'
+    };
+    
+    let markdown = `<details>\n<summary>📎 Context (${context.length})</summary>\n\n`;
+    
+    for (const entry of context) {
+        let reference = entry.path ? `\`${entry.path}\`` : '';
+        if (entry.path && entry.start_line) {
+            reference = entry.end_line && entry.end_line !== entry.start_line
+                ? `\`${entry.path}:${entry.start_line}-${entry.end_line}\``
+                : `\`${entry.path}:${entry.start_line}\``;
+        }
+        if (entry.url) {
+            reference = entry.name ? `[${entry.name}](${entry.url})` : `<${entry.url}>`;
+        } else if (entry.name && !reference) {
+            reference = entry.name;
+        }
+        
+        markdown += `- ${labels[entry.type] || entry.type}${reference ? `: ${reference}` : ''}\n`;
+        if (entry.text) {
+            const language = entry.type === 'terminal' ? 'bash' : '';
+            const text = entry.text.trim();
+            const fence = getFence(text);
+            markdown += `\n  ${fence}${language}\n${text.split('\n').map(line => `  ${line}`).join('\n')}\n  ${fence}\n\n`;
+        }
     }
     
-    // Add request ID (show only the most recent one, which is what's visible in Cursor UI)
-    if (conversation.request_ids && conversation.request_ids.length > 0) {
-        const mostRecentRequestId = conversation.request_ids[conversation.request_ids.length - 1];
-        markdown += `**Request ID:** \`${mostRecentRequestId}\`  \n`;
+    return `${markdown}\n</details>\n\n`;
+}
+
+/**
+ * Turn Cursor's code citation fences (```lang:path and ```start:end:path) into a link to the
+ * cited file, relative to the repository, followed by a fence with a plain language tag
+ * @param {string} text - Message text
+ * @returns {string} Text with citation fences rewritten; other fences are left as they are
+ */
+function formatCodeCitations(text) {
+    return text.replace(/^([ \t]*)```([^\n`]*:[^\n`]*)$/gm, (fenceLine, indent, header) => {
+        const fence = parseCodeFenceHeader(header.trim());
+        if (!fence || !fence.file_path) return fenceLine;
+        
+        const relativePath = fence.file_path.replace(/\\/g, '/').replace(/^\.\//, '');
+        let label = relativePath;
+        let anchor = '';
+        if (fence.start_line) {
+            label += fence.end_line && fence.end_line !== fence.start_line ? `:${fence.start_line}-${fence.end_line}` : `:${fence.start_line}`;
+            anchor = fence.end_line && fence.end_line !== fence.start_line ? `#L${fence.start_line}-L${fence.end_line}` : `#L${fence.start_line}`;
+        }
+        
+        return `${indent}📄 [\`${label}\`](${encodeURI(relativePath)}${anchor})\n${indent}\`\`\`${fence.language}`;
+    });
+}
+
+/**
+ * Format the output of an inline tool call (from a <function_results> block) as a collapsible block
+ * @param {string} output - Tool output
+ * @param {boolean} isError - Whether the tool reported an error
+ * @param {string|null} toolName - Tool name for the summary, if known
+ * @returns {string} Markdown, empty when there is no output
+ */
+function formatInlineToolResult(output, isError, toolName = null) {
+    if (!output || !String(output).trim()) return '';
+    
+    const content = String(output).trim();
+    const label = isError ? '❌ Error' : '📤 Result';
+    const summary = toolName ? `${label}: ${toolName}` : label;
+    
+    const fence = getFence(content);
+    return `<details>\n<summary>${summary}</summary>\n\n${fence}\n${content}\n${fence}\n\n</details>`;
+}
+
+/**
+ * Format the tool results of a message that could not be paired with any tool call
+ * @param {Array<Object>} toolResults - Parsed tool results
+ * @returns {string} Markdown, empty when every result was paired
+ */
+function formatUnpairedToolResults(toolResults) {
+    let markdown = '';
+    
+    for (const toolResult of (toolResults || []).filter(result => !result.paired)) {
+        const resultDisplay = formatInlineToolResult(toolResult.output, toolResult.is_error, toolResult.tool_name);
+        if (resultDisplay) {
+            markdown += `${resultDisplay}\n\n`;
+        }
     }
     
-    markdown += `\n---\n\n`;
+    return markdown;
+}
+
+/**
+ * Generate markdown for one message
+ * @param {Object} message - Reconstructed message
+ * @param {string} headingLevel - Markdown heading prefix for the message header
+ * @returns {string} Markdown
+ */
+function formatMessageMarkdown(message, headingLevel = '##') {
+    let markdown = '';
+    const isUser = message.type === 'user';
     
-    for (let i = 0; i < conversation.messages.length; i++) {
-        const message = conversation.messages[i];
-        const isUser = message.type === 'user';
+    // Add message header
+    if (isUser) {
+        markdown += `${headingLevel} 👤 User\n\n`;
+    } else {
+        markdown += `${headingLevel} 🤖 Assistant\n\n`;
+    }
+    
+    if (isUser) {
+        // For user messages, show the text, from richText when Cursor stored it (keeps mentions and selections)
+        let userText = (message.rich_text && richTextToMarkdown(message.rich_text, message.context)) || message.content.text;
+        // Clean up any function calls that might be in user messages
+        userText = userText.replace(/<function_calls>[\s\S]*?<\/antml:function_calls>/g, '');
+        userText = userText.replace(/<function_results>[\s\S]*?<\/(?:antml:)?function_results>/g, '');
+        userText = formatCodeCitations(userText.trim());
         
-        // Add message header
-        if (isUser) {
-            markdown += `## 👤 User\n\n`;
-        } else {
-            markdown += `## 🤖 Assistant\n\n`;
+        markdown += `${userText}\n\n`;
+        markdown += formatMessageImages(message.images);
+        markdown += formatMessageContext(message.context);
+        markdown += formatUnpairedToolResults(message.content.tool_results);
+    } else {
+        // For assistant messages, show thinking first if available
+        if (message.content.thinking_blocks.length > 0) {
+            const formattedThinking = formatThinkingBlocks(message.content.thinking_blocks);
+            markdown += `${formattedThinking}\n\n`;
         }
         
-        if (isUser) {
-            // For user messages, just show the text
-            let userText = message.content.text;
-            // Clean up any function calls that might be in user messages
-            userText = userText.replace(/<function_calls>[\s\S]*?<\/antml:function_calls>/g, '');
-            userText = userText.replace(/<function_results>[\s\S]*?<\/antml:function_calls>/g, '');
-            userText = userText.trim();
-            
-            markdown += `${userText}\n\n`;
-        } else {
-            // For assistant messages, show thinking first if available
-            if (message.content.thinking_blocks.length > 0) {
-                const formattedThinking = formatThinkingBlocks(message.content.thinking_blocks);
-                markdown += `${formattedThinking}\n\n`;
-            }
-            
-            // Show tool calls in a simple format
-            if (message.content.tool_calls.length > 0) {
-                for (const toolCall of message.content.tool_calls) {
-                    let toolAction = formatToolCallAction(toolCall);
-                    
-                    // Ensure we always have meaningful text - never show just the emoji
-                    if (!toolAction || toolAction.trim() === '') {
-                        toolAction = toolCall.tool_name ? 
-                            toolCall.tool_name.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) : 
-                            'Tool execution';
+        // Show tool calls in a simple format
+        if (message.content.tool_calls.length > 0) {
+            for (const toolCall of message.content.tool_calls) {
+                let toolAction = formatToolCallAction(toolCall);
+                const tool = findTool(toolCall.tool_name);
+                const canonicalName = tool ? tool.name : toolCall.tool_name;
+                
+                // Ensure we always have meaningful text - never show just the emoji
+                if (!toolAction || toolAction.trim() === '') {
+                    toolAction = toolCall.tool_name ? 
+                        toolCall.tool_name.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) : 
+                        'Tool execution';
+                }
+                
+                markdown += `📋 ${toolAction}\n\n`;
+                
+                // Add tool results if available
+                if (toolCall.inline && toolCall.result !== undefined) {
+                    // Inline calls are answered by <function_results> blocks, shown as returned
+                    const resultDisplay = formatInlineToolResult(toolCall.result, toolCall.status === 'error');
+                    if (resultDisplay) {
+                        markdown += `${resultDisplay}\n\n`;
                     }
+                } else if (toolCall.result) {
+                    let resultDisplay = '';
                     
-                    markdown += `📋 ${toolAction}\n\n`;
-                    
-                    // Add tool results if available
-                    if (toolCall.result) {
-                        let resultDisplay = '';
+                    // Handle different result types
+                    try {
+                        // Try to parse as JSON first
+                        const result = JSON.parse(toolCall.result);
                         
-                        // Handle different result types
-                        try {
-                            // Try to parse as JSON first
-                            const result = JSON.parse(toolCall.result);
-                            
-                            // Special handling for different tool types
-                            if (toolCall.tool_name === 'run_terminal_cmd') {
-                                // Show command output
-                                if (result.contents || result.output) {
-                                    const output = result.contents || result.output;
-                                    resultDisplay = `<details>\n<summary>📤 Command Output</summary>\n\n\`\`\`\n${output}\n\`\`\`\n\n</details>`;
-                                } else if (result.error) {
-                                    resultDisplay = `<details>\n<summary>❌ Command Error</summary>\n\n\`\`\`\n${result.error}\n\`\`\`\n\n</details>`;
-                                }
-                            } else if (toolCall.tool_name === 'read_file') {
-                                // Show file content preview
-                                if (result.contents) {
-                                    const preview = result.contents.length > 500 ? 
-                                        result.contents.substring(0, 497) + '...' : result.contents;
-                                    resultDisplay = `<details>\n<summary>📄 File Content (${result.contents.length} chars)</summary>\n\n\`\`\`\n${preview}\n\`\`\`\n\n</details>`;
-                                }
-                            } else if (toolCall.tool_name === 'list_dir') {
-                                // Use existing LS formatting
+                        // Special handling for different tool types
+                        if (canonicalName === 'run_terminal_cmd') {
+                            // Show command output
+                            if (result.contents || result.output) {
+                                const output = result.contents || result.output;
+                                resultDisplay = `<details>\n<summary>📤 Command Output</summary>\n\n\`\`\`\n${output}\n\`\`\`\n\n</details>`;
+                            } else if (result.error) {
+                                resultDisplay = `<details>\n<summary>❌ Command Error</summary>\n\n\`\`\`\n${result.error}\n\`\`\`\n\n</details>`;
+                            }
+                        } else if (canonicalName === 'read_file') {
+                            // Show file content preview
+                            if (result.contents) {
+                                const preview = result.contents.length > 500 ? 
+                                    result.contents.substring(0, 497) + '...' : result.contents;
+                                resultDisplay = `<details>\n<summary>📄 File Content (${result.contents.length} chars)</summary>\n\n\`\`\`\n${preview}\n\`\`\`\n\n</details>`;
+                            }
+                        } else if (canonicalName === 'list_dir') {
+                            // Use existing LS formatting
+                            const formattedResult = formatLSResult(toolCall.result, toolCall);
+                            if (formattedResult) {
+                                resultDisplay = formattedResult;
+                            }
+                        } else if (canonicalName === 'codebase_search') {
+                            // Use existing codebase search formatting
+                            if (result.codeResults && result.codeResults.length > 0) {
                                 const formattedResult = formatLSResult(toolCall.result, toolCall);
                                 if (formattedResult) {
                                     resultDisplay = formattedResult;
                                 }
-                            } else if (toolCall.tool_name === 'codebase_search') {
-                                // Use existing codebase search formatting
-                                if (result.codeResults && result.codeResults.length > 0) {
-                                    const formattedResult = formatLSResult(toolCall.result, toolCall);
-                                    if (formattedResult) {
-                                        resultDisplay = formattedResult;
-                                    }
-                                }
-                            } else if (toolCall.tool_name === 'grep_search') {
-                                // Show search results
-                                if (result.matches || result.results) {
-                                    const matches = result.matches || result.results;
-                                    resultDisplay = `<details>\n<summary>🔍 Search Results (${matches.length} matches)</summary>\n\n\`\`\`\n${matches.slice(0, 10).join('\n')}\n\`\`\`\n\n</details>`;
-                                }
-                            } else {
-                                // Generic result display for other tools
-                                const resultStr = JSON.stringify(result, null, 2);
-                                if (resultStr.length > 50) {
-                                    resultDisplay = `<details>\n<summary>📋 Result</summary>\n\n\`\`\`json\n${resultStr}\n\`\`\`\n\n</details>`;
-                                }
                             }
-                        } catch (e) {
-                            // If not JSON, treat as plain text result
-                            const plainResult = String(toolCall.result);
-                            if (plainResult.trim() && plainResult.length > 10) {
-                                if (toolCall.tool_name === 'run_terminal_cmd') {
-                                    resultDisplay = `<details>\n<summary>📤 Command Output</summary>\n\n\`\`\`\n${plainResult}\n\`\`\`\n\n</details>`;
-                                } else {
-                                    resultDisplay = `<details>\n<summary>📋 Result</summary>\n\n\`\`\`\n${plainResult}\n\`\`\`\n\n</details>`;
-                                }
+                        } else if (canonicalName === 'grep_search') {
+                            // Show search results
+                            if (result.matches || result.results) {
+                                const matches = result.matches || result.results;
+                                resultDisplay = `<details>\n<summary>🔍 Search Results (${matches.length} matches)</summary>\n\n\`\`\`\n${matches.slice(0, 10).join('\n')}\n\`\`\`\n\n</details>`;
+                            }
+                        } else {
+                            // Generic result display for other tools
+                            const resultStr = JSON.stringify(result, null, 2);
+                            if (resultStr.length > 50) {
+                                resultDisplay = `<details>\n<summary>📋 Result</summary>\n\n\`\`\`json\n${resultStr}\n\`\`\`\n\n</details>`;
                             }
                         }
-                        
-                        if (resultDisplay) {
-                            markdown += `${resultDisplay}\n\n`;
+                    } catch (e) {
+                        // If not JSON, treat as plain text result
+                        const plainResult = String(toolCall.result);
+                        if (plainResult.trim() && plainResult.length > 10) {
+                            if (canonicalName === 'run_terminal_cmd') {
+                                resultDisplay = `<details>\n<summary>📤 Command Output</summary>\n\n\`\`\`\n${plainResult}\n\`\`\`\n\n</details>`;
+                            } else {
+                                resultDisplay = `<details>\n<summary>📋 Result</summary>\n\n\`\`\`\n${plainResult}\n\`\`\`\n\n</details>`;
+                            }
                         }
                     }
                     
-                    // Legacy: Add formatted result if it's an LS command (kept for compatibility)
-                    else if (toolCall.tool_name && toolCall.tool_name.toLowerCase() === 'codebase_search' && toolCall.result) {
-                        try {
-                            const result = JSON.parse(toolCall.result);
-                            if (result.codeResults && result.codeResults.length > 0) {
-                                const formattedResult = formatLSResult(toolCall.result, toolCall);
-                                if (formattedResult) {
-                                    markdown += `${formattedResult}\n\n`;
-                                }
+                    if (resultDisplay) {
+                        markdown += `${resultDisplay}\n\n`;
+                    }
+                }
+                
+                // Legacy: Add formatted result if it's an LS command (kept for compatibility)
+                else if (canonicalName === 'codebase_search' && toolCall.result) {
+                    try {
+                        const result = JSON.parse(toolCall.result);
+                        if (result.codeResults && result.codeResults.length > 0) {
+                            const formattedResult = formatLSResult(toolCall.result, toolCall);
+                            if (formattedResult) {
+                                markdown += `${formattedResult}\n\n`;
                             }
-                        } catch (e) {
-                            // If it's not JSON, skip formatting
                         }
+                    } catch (e) {
+                        // If it's not JSON, skip formatting
                     }
                 }
             }
-            
-            // Show the main response text (without tool calls, results, and thinking)
-            let cleanText = message.content.text;
-            
-            // Remove function calls
-            cleanText = cleanText.replace(/<function_calls>[\s\S]*?<\/antml:function_calls>/g, '');
-            
-            // Remove function results
-            cleanText = cleanText.replace(/<function_results>[\s\S]*?<\/antml:function_results>/g, '');
-            
-            // Remove thinking blocks
-            cleanText = cleanText.replace(/<thinking>[\s\S]*?<\/antml:thinking>/g, '');
-            
-            // Clean up extra whitespace and multiple newlines
-            cleanText = cleanText.replace(/\n{3,}/g, '\n\n').trim();
-            
-            if (cleanText) {
-                markdown += `${cleanText}\n\n`;
-            }
         }
         
+        markdown += formatUnpairedToolResults(message.content.tool_results);
+        
+        // Show the main response text (without tool calls, results, and thinking)
+        let cleanText = message.content.text;
+        
+        // Remove function calls
+        cleanText = cleanText.replace(/<function_calls>[\s\S]*?<\/antml:function_calls>/g, '');
+        
+        // Remove function results
+        cleanText = cleanText.replace(/<function_results>[\s\S]*?<\/(?:antml:)?function_results>/g, '');
+        
+        // Remove thinking blocks
+        cleanText = cleanText.replace(/<thinking>[\s\S]*?<\/antml:thinking>/g, '');
+        
+        // Clean up extra whitespace and multiple newlines
+        cleanText = cleanText.replace(/\n{3,}/g, '\n\n').trim();
+        cleanText = formatCodeCitations(cleanText);
+        
+        if (cleanText) {
+            markdown += `${cleanText}\n\n`;
+        }
+    }
+    
+    return markdown;
+}
+
+/**
+ * Generate markdown for a conversation in enhanced format
+ */
+function generateMarkdownConversation(conversation) {
+    const title = conversation.composer_data?.name || 'Untitled Conversation';
+    const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    
+    let markdown = `<!-- Generated by Trace Extractor -->\n\n`;
+    markdown += `# ${title}\n\n`;
+    markdown += `**Generated:** ${timestamp}  \n`;
+    markdown += `**Messages:** ${conversation.messages.length}  \n`;
+    
+    // Add conversation metadata
+    if (conversation.composer_data?.name) {
+        markdown += `**Conversation ID:** \`${conversation.composer_id}\`  \n`;
+    }
+    
+    // Add request ID (show only the most recent one, which is what's visible in Cursor UI)
+    if (conversation.request_ids && conversation.request_ids.length > 0) {
+        const mostRecentRequestId = conversation.request_ids[conversation.request_ids.length - 1];
+        markdown += `**Request ID:** \`${mostRecentRequestId}\`  \n`;
+    }
+    
+    markdown += `\n---\n\n`;
+    
+    const filesTouched = formatFilesTouched(conversation.files);
+    if (filesTouched) {
+        markdown += `${filesTouched}---\n\n`;
+    }
+    
+    for (let i = 0; i < conversation.messages.length; i++) {
+        markdown += formatMessageMarkdown(conversation.messages[i]);
+        
         // Add separator between messages (except for last message)
         if (i < conversation.messages.length - 1) {
             markdown += `---\n\n`;
         }
     }
     
+    // Bubbles Cursor did not list in the conversation order, shown apart rather than guessed into place
+    const unorderedMessages = conversation.unordered_messages || [];
+    if (unorderedMessages.length > 0) {
+        markdown += `---\n\n## Unordered Messages\n\n`;
+        markdown += `_${unorderedMessages.length} message${unorderedMessages.length === 1 ? '' : 's'} not listed in the conversation order, sorted by time._\n\n`;
+        
+        for (const message of unorderedMessages) {
+            markdown += formatMessageMarkdown(message, '###');
+        }
+    }
+    
     return markdown;
 }
 
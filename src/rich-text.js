@@ -0,0 +1,203 @@
+const path = require('path');
+
+/**
+ * Markdown from the `richText` of Cursor user bubbles
+ * richText is a serialized Lexical editor state: a tree of paragraph, text, linebreak, list,
+ * heading, quote, link and code nodes, plus Cursor's own nodes for @-mentions and code
+ * selections. The flattened `text` loses what each mention pointed at and where a pasted
+ * selection came from; the converter below keeps both.
+ */
+
+// Lexical text format bits
+const FORMAT_BOLD = 1;
+const FORMAT_ITALIC = 2;
+const FORMAT_STRIKETHROUGH = 4;
+const FORMAT_CODE = 16;
+
+/**
+ * Get the file path a node refers to, in any of the shapes Cursor uses
+ * @param {Object} source - Node, node metadata or selection
+ * @returns {string|null} Path
+ */
+function getNodePath(source) {
+    if (!source || typeof source !== 'object') return null;
+
+    const uri = source.uri || {};
+    return source.relativeWorkspacePath || source.relativePath || uri.fsPath || uri.path ||
+        source.path || source.filePath || source.fsPath || null;
+}
+
+/**
+ * Find what a mention points at: a path or URL stored on the node, or the context entry it names
+ * @param {Object} node - Mention node
+ * @param {Array<Object>} context - Context entries of the message
+ * @returns {string|null} Link target
+ */
+function resolveMentionTarget(node, context) {
+    const metadata = node.metadata || {};
+    const stored = getNodePath(metadata) || getNodePath(metadata.selection) || getNodePath(node) || metadata.url || node.url;
+    if (stored) return stored;
+
+    const name = (node.mentionName || node.text || '').replace(/^@/, '');
+    if (!name) return null;
+
+    const entry = context.find(contextEntry =>
+        (contextEntry.path && (contextEntry.path === name || path.basename(contextEntry.path.replace(/[\\/]+$/, '')) === name)) ||
+        (contextEntry.url && contextEntry.name === name));
+    return entry ? (entry.url || entry.path) : null;
+}
+
+/**
+ * Turn a mention target into a Markdown link destination
+ * URLs are kept as they are, since they are stored encoded already. File paths get forward
+ * slashes, and the spaces and parentheses that would end the destination are percent-encoded.
+ * @param {string} target - Path or URL
+ * @returns {string} Link destination
+ */
+function toLinkTarget(target) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(target)) return target;
+
+    const escapes = { ' ': '%20', '(': '%28', ')': '%29' };
+    return target.replace(/\\/g, '/').replace(/[ ()]/g, char => escapes[char]);
+}
+
+/**
+ * Render a code selection as a fence with a Cursor citation header (```start:end:path),
+ * which the Markdown generator turns into a link to the file
+ * @param {Object} selection - {text, uri|path, range}
+ * @returns {string|null} Fenced code, or null when the selection has no text
+ */
+function formatSelection(selection) {
+    const text = selection.text || selection.rawText || selection.content;
+    if (!text) return null;
+
+    const range = selection.range || {};
+    const startLine = range.selectionStartLineNumber || range.startLineNumber || selection.startLineNumber;
+    const endLine = range.positionLineNumber || range.endLineNumber || selection.endLineNumber || startLine;
+    const filePath = getNodePath(selection);
+
+    let header = '';
+    if (filePath && startLine) {
+        header = `${startLine}:${endLine}:${filePath}`;
+    } else if (filePath) {
+        header = `${selection.language || path.extname(filePath).substring(1) || 'text'}:${filePath}`;
+    }
+    return `\n\`\`\`${header}\n${text.replace(/\n$/, '')}\n\`\`\`\n`;
+}
+
+/**
+ * Apply Lexical text formatting to a text run
+ * @param {string} text - Text
+ * @param {number} format - Format bitmask
+ * @returns {string} Markdown
+ */
+function formatText(text, format = 0) {
+    if (!text) return '';
+    if (format & FORMAT_CODE) return `\`${text}\``;
+
+    let formatted = text;
+    if (format & FORMAT_STRIKETHROUGH) formatted = `~~${formatted}~~`;
+    if (format & FORMAT_ITALIC) formatted = `*${formatted}*`;
+    if (format & FORMAT_BOLD) formatted = `**${formatted}**`;
+    return formatted;
+}
+
+/**
+ * Convert one Lexical node, and its children, to Markdown
+ * @param {Object} node - Lexical node
+ * @param {Array<Object>} context - Context entries of the message, used to resolve mentions
+ * @returns {string} Markdown
+ */
+function nodeToMarkdown(node, context) {
+    if (!node || typeof node !== 'object') return '';
+
+    const children = () => (Array.isArray(node.children) ? node.children : [])
+        .map(child => nodeToMarkdown(child, context))
+        .join('');
+
+    switch (node.type) {
+        case 'root':
+            return (node.children || []).map(child => nodeToMarkdown(child, context)).join('\n');
+
+        case 'paragraph':
+            return children();
+
+        case 'text':
+        case 'code-highlight':
+            return formatText(node.text, node.format);
+
+        case 'linebreak':
+            return '\n';
+
+        case 'tab':
+            return '\t';
+
+        case 'heading': {
+            const level = parseInt(String(node.tag || 'h1').replace('h', ''), 10) || 1;
+            return `${'#'.repeat(level)} ${children()}`;
+        }
+
+        case 'quote':
+            return children().split('\n').map(line => `> ${line}`).join('\n');
+
+        case 'list':
+            return (node.children || []).map((item, index) => {
+                const marker = node.listType === 'number' ? `${(node.start || 1) + index}.` : '-';
+                return `${marker} ${nodeToMarkdown(item, context)}`;
+            }).join('\n');
+
+        case 'listitem':
+            return children();
+
+        case 'link':
+        case 'autolink':
+            return node.url ? `[${children() || node.url}](${node.url})` : children();
+
+        case 'code':
+            return `\n\`\`\`${node.language || ''}\n${children()}\n\`\`\`\n`;
+
+        case 'mention': {
+            const selection = node.metadata && node.metadata.selection;
+            const fenced = selection && formatSelection(selection);
+            if (fenced) return fenced;
+
+            const label = node.text || `@${node.mentionName || ''}`;
+            const target = resolveMentionTarget(node, context);
+            return target ? `[${label}](${toLinkTarget(target)})` : label;
+        }
+
+        default:
+            // Cursor's code selection nodes ('code-selection', 'selection', ...) carry their text and range
+            if (/selection/i.test(node.type || '')) {
+                const fenced = formatSelection(node.selection || node);
+                if (fenced) return fenced;
+            }
+            return node.children ? children() : (node.text || '');
+    }
+}
+
+/**
+ * Convert a bubble's richText to Markdown
+ * @param {string|Object} richText - Serialized Lexical editor state, or its parsed form
+ * @param {Array<Object>} context - Context entries of the message, used to resolve mentions
+ * @returns {string} Markdown, empty when richText is missing or unreadable
+ */
+function richTextToMarkdown(richText, context = []) {
+    let state = richText;
+    if (typeof richText === 'string') {
+        try {
+            state = JSON.parse(richText);
+        } catch (error) {
+            return '';
+        }
+    }
+    if (!state || !state.root) return '';
+
+    return nodeToMarkdown({ ...state.root, type: 'root' }, context || [])
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    richTextToMarkdown
+};
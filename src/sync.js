@@ -0,0 +1,217 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { openCursorStores } = require('./cursor-store');
+const { reconstructConversation } = require('./conversation-parser');
+const { hasDbOverride } = require('./extractor');
+const { getAllClineTasks, hasClineDirOverride } = require('./cline/extractor');
+const { ExportError } = require('./errors');
+const { writeAssets } = require('./assets');
+const {
+    logCursorSkipped,
+    loadClineConversation,
+    hashCursorSource,
+    hashClineSource,
+    renderConversation,
+    RENDER_VERSION
+} = require('./exporter');
+
+/**
+ * Incremental sync: re-render only conversations whose source data or renderer changed since the last run
+ * State lives in `manifest.json` in the output directory; each entry records the source hash and
+ * the RENDER_VERSION its file was rendered with. Conversations without messages are recorded as
+ * skipped, with no file.
+ */
+
+const MANIFEST_FILENAME = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Read the sync manifest from an output directory
+ * @param {string} outDir - Output directory
+ * @returns {Promise<Object>} Manifest ({version, format, conversations}), empty if none exists yet
+ */
+async function readManifest(outDir) {
+    try {
+        const manifest = JSON.parse(await fs.readFile(path.join(outDir, MANIFEST_FILENAME), 'utf8'));
+        return { ...manifest, conversations: manifest.conversations || {} };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new ExportError(`Could not read ${MANIFEST_FILENAME}: ${error.message}`);
+        }
+        return { version: MANIFEST_VERSION, format: null, conversations: {} };
+    }
+}
+
+/**
+ * Write the sync manifest with stable key order, so unchanged syncs produce no diff
+ * @param {string} outDir - Output directory
+ * @param {Object} manifest - Manifest to write
+ */
+async function writeManifest(outDir, manifest) {
+    const conversations = {};
+    for (const id of Object.keys(manifest.conversations).sort()) {
+        conversations[id] = manifest.conversations[id];
+    }
+
+    const content = JSON.stringify({ ...manifest, version: MANIFEST_VERSION, conversations }, null, 2) + '\n';
+    await fs.writeFile(path.join(outDir, MANIFEST_FILENAME), content);
+}
+
+/**
+ * Check whether a file exists
+ * @param {string} filepath - File path
+ * @returns {Promise<boolean>} True if it exists
+ */
+async function fileExists(filepath) {
+    try {
+        await fs.access(filepath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Sync exported conversations with their sources using the manifest in the output directory
+ * @param {Object} options - Sync options
+ * @param {string} options.outDir - Output directory (holds manifest.json)
+ * @param {string} options.format - 'markdown' or 'json'
+ * @param {string} options.source - 'cursor', 'cline' or 'both'
+ * @param {string|null} options.dbPath - Optional explicit path to state.vscdb
+ * @param {string|null} options.clineDir - Optional explicit Cline directory
+ * @param {string|null} options.ide - Optional installation ID or 'all' to merge every installation
+ * @param {Array<string>|null} options.userDataDirs - Optional explicit user-data directories
+ * @param {Object|null} options.outputChannel - Optional output channel for logging
+ * @returns {Promise<Object>} Result with created, updated, unchanged, skipped, orphans and failures lists
+ */
+async function syncConversations({
+    outDir,
+    format = 'markdown',
+    source = 'both',
+    dbPath = null,
+    clineDir = null,
+    ide = null,
+    userDataDirs = null,
+    outputChannel = null
+}) {
+    const log = (message) => outputChannel ? outputChannel.appendLine(message) : console.log(message);
+    const result = { created: [], updated: [], unchanged: [], skipped: [], orphans: [], failures: [] };
+
+    await fs.mkdir(outDir, { recursive: true });
+    const manifest = await readManifest(outDir);
+
+    // A format switch invalidates every previously rendered file
+    const formatChanged = manifest.format !== null && manifest.format !== format;
+    manifest.format = format;
+
+    const seenIds = new Set();
+    const scannedSources = new Set();
+
+    const syncEntry = async (entrySource, id, getHash, loadConversation) => {
+        seenIds.add(id);
+        const previous = manifest.conversations[id];
+
+        try {
+            const hash = await getHash();
+            if (previous && previous.hash === hash && previous.renderVersion === RENDER_VERSION && !formatChanged &&
+                (previous.skipped || await fileExists(path.join(outDir, previous.file)))) {
+                if (previous.orphaned) delete previous.orphaned;
+                result[previous.skipped ? 'skipped' : 'unchanged'].push({ source: entrySource, id, file: previous.file });
+                return;
+            }
+
+            const conversation = loadConversation();
+            if (!conversation || conversation.messages.length === 0) {
+                // Nothing to render; a file exported earlier is kept
+                manifest.conversations[id] = {
+                    source: entrySource,
+                    hash,
+                    renderVersion: RENDER_VERSION,
+                    file: previous ? previous.file : null,
+                    skipped: 'no messages'
+                };
+                result.skipped.push({ source: entrySource, id, file: previous ? previous.file : null });
+                return;
+            }
+
+            const { content, filename, assets, assetDir } = renderConversation(entrySource, conversation, format);
+            await fs.writeFile(path.join(outDir, filename), content);
+            await writeAssets(outDir, assets, assetDir);
+
+            // The title (and so the filename) may have changed; drop the stale file we wrote earlier
+            if (previous && previous.file && previous.file !== filename) {
+                await fs.unlink(path.join(outDir, previous.file)).catch(() => {});
+            }
+
+            manifest.conversations[id] = {
+                source: entrySource,
+                hash,
+                renderVersion: RENDER_VERSION,
+                file: filename,
+                title: entrySource === 'cline' ? conversation.title : (conversation.composer_data?.name || 'Untitled Conversation'),
+                exportedAt: new Date().toISOString()
+            };
+            result[previous && previous.file ? 'updated' : 'created'].push({ source: entrySource, id, file: filename });
+        } catch (error) {
+            result.failures.push({ source: entrySource, id, error: error.message });
+            log(`WARNING: Could not sync ${entrySource} conversation ${id}: ${error.message}`);
+        }
+    };
+
+    // Orphans are only reported for a source read in full from its default locations: not when a
+    // database or task directory was skipped, nor for a --db / --cline-dir copy of someone else's
+    if (source === 'cursor' || source === 'both') {
+        let complete = !hasDbOverride(dbPath);
+        try {
+            const onSkip = () => { complete = false; };
+            for await (const { store } of openCursorStores({ dbPath, ide, userDataDirs, outputChannel, onSkip })) {
+                for await (const { composerId, composerData, extractedData } of store.conversations()) {
+                    await syncEntry('cursor', composerId, () => hashCursorSource(composerId, extractedData), () =>
+                        reconstructConversation(
+                            composerId,
+                            extractedData.bubbles,
+                            extractedData.checkpoints,
+                            extractedData.codeDiffs,
+                            composerData
+                        ));
+                }
+            }
+            if (complete) scannedSources.add('cursor');
+        } catch (error) {
+            if (source === 'cursor') throw error;
+            logCursorSkipped(error, outputChannel);
+        }
+    }
+
+    if (source === 'cline' || source === 'both') {
+        let complete = !hasClineDirOverride(clineDir);
+        const onSkip = () => { complete = false; };
+        for (const task of getAllClineTasks(null, outputChannel, clineDir, ide, userDataDirs, onSkip)) {
+            await syncEntry('cline', task.taskId, () => hashClineSource(task.taskPath), () =>
+                loadClineConversation(task.taskId, task.baseDir, null, outputChannel));
+        }
+        if (complete) scannedSources.add('cline');
+    }
+
+    // Conversations deleted at the source: keep their files, but flag and report them
+    for (const [id, entry] of Object.entries(manifest.conversations)) {
+        if (scannedSources.has(entry.source) && !seenIds.has(id)) {
+            if (!entry.file) {
+                delete manifest.conversations[id];
+                continue;
+            }
+            entry.orphaned = true;
+            result.orphans.push({ source: entry.source, id, file: entry.file });
+        }
+    }
+
+    await writeManifest(outDir, manifest);
+
+    return result;
+}
+
+module.exports = {
+    MANIFEST_FILENAME,
+    readManifest,
+    syncConversations
+};
@@ -0,0 +1,278 @@
+/**
+ * Registry of the tools agents call
+ * One entry per tool, keyed by a canonical name, listing the names Cursor, Cline and inline
+ * (Claude-style) tool calls use for it, Cursor's numeric `toolFormerData.tool` IDs, the
+ * parameters it takes, its category and how to describe a call. The conversation parser names
+ * tools through it, and both Markdown generators render tool calls from it.
+ */
+
+// Parameter names that hold the file a tool works on
+const FILE_PARAMETERS = ['file_path', 'target_file', 'targetFile', 'path', 'filePath', 'relative_workspace_path'];
+
+/**
+ * Tool entries
+ * - name: canonical name, the one Cursor uses where it has the tool
+ * - title: display name
+ * - emoji: marker shown in front of Cline tool calls
+ * - category: 'read', 'edit', 'list', 'search', 'command', 'web', 'task' or 'other'
+ * - aliases: tool names recorded by Cursor, Cline and inline tool calls (matched case-insensitively)
+ * - cursorIds: Cursor `toolFormerData.tool` enum values
+ * - parameters: role -> parameter names that hold it, first match wins
+ * - subject: role shown after the title; subjectBasename shows only its last path segment
+ * - fileOperation: what the tool does to its `path` (see files-touched.js)
+ * - inferFrom: role combinations that identify a call whose name was not recorded; entries are
+ *   tried in registry order, so more specific tools come first (a bare relative_workspace_path
+ *   is a directory listing, any other path alone a read)
+ * - describe: optional custom description, replacing the title/subject one
+ */
+const TOOLS = [
+    {
+        name: 'edit_file',
+        title: 'Edit file',
+        emoji: '✏️',
+        category: 'edit',
+        aliases: ['edit', 'edit_file', 'edit_file_v2', 'multiedit', 'search_replace', 'editfile', 'editedexistingfile', 'replace_in_file'],
+        cursorIds: [7, 38],
+        parameters: { path: FILE_PARAMETERS, oldString: ['old_string'], newString: ['new_string'] },
+        subject: 'path',
+        subjectBasename: true,
+        fileOperation: 'edited',
+        inferFrom: [['path', 'oldString'], ['path', 'newString']]
+    },
+    {
+        name: 'write',
+        title: 'Write file',
+        emoji: '✏️',
+        category: 'edit',
+        aliases: ['write', 'write_file', 'writefile', 'write_to_file'],
+        parameters: { path: FILE_PARAMETERS, content: ['content', 'contents'] },
+        subject: 'path',
+        subjectBasename: true,
+        fileOperation: 'written',
+        inferFrom: [['path', 'content']]
+    },
+    {
+        name: 'create_file',
+        title: 'Create file',
+        emoji: '📄',
+        category: 'edit',
+        aliases: ['create_file', 'createfile', 'newfilecreated'],
+        parameters: { path: FILE_PARAMETERS, content: ['content', 'contents'] },
+        subject: 'path',
+        subjectBasename: true,
+        fileOperation: 'created'
+    },
+    {
+        name: 'delete_file',
+        title: 'Delete file',
+        emoji: '🗑️',
+        category: 'edit',
+        aliases: ['delete_file', 'filedeleted'],
+        cursorIds: [11],
+        parameters: { path: FILE_PARAMETERS },
+        subject: 'path',
+        subjectBasename: true,
+        fileOperation: 'deleted'
+    },
+    {
+        name: 'list_dir',
+        title: 'List directory',
+        emoji: '📂',
+        category: 'list',
+        aliases: ['ls', 'list_dir', 'list_dir_v2', 'list_directory', 'list_files', 'listfiles', 'listfilestoplevel', 'listfilesrecursive'],
+        cursorIds: [6, 39],
+        parameters: { path: ['path', 'relative_workspace_path', 'target_directory'], workspacePath: ['relative_workspace_path'] },
+        subject: 'path',
+        subjectBasename: true,
+        inferFrom: [['workspacePath']]
+    },
+    {
+        name: 'read_file',
+        title: 'Read file',
+        emoji: '📖',
+        category: 'read',
+        aliases: ['read', 'read_file', 'read_file_v2', 'readfile'],
+        cursorIds: [5, 40],
+        parameters: { path: FILE_PARAMETERS },
+        subject: 'path',
+        subjectBasename: true,
+        fileOperation: 'read',
+        inferFrom: [['path']]
+    },
+    {
+        name: 'run_terminal_cmd',
+        title: 'Run command',
+        emoji: '⚡',
+        category: 'command',
+        aliases: ['bash', 'run_terminal_cmd', 'run_terminal_command_v2', 'terminal', 'executecommand', 'execute_command'],
+        cursorIds: [15],
+        parameters: { command: ['command'] },
+        subject: 'command',
+        inferFrom: [['command']]
+    },
+    {
+        name: 'grep_search',
+        title: 'Search',
+        emoji: '🔍',
+        category: 'search',
+        aliases: ['grep', 'grep_search', 'search', 'ripgrep_search', 'searchfiles', 'search_files'],
+        cursorIds: [3],
+        parameters: { query: ['query', 'pattern', 'regex'], include: ['include_pattern', 'file_pattern'] },
+        subject: 'query',
+        inferFrom: [['query']],
+        describe: describeSearch
+    },
+    {
+        name: 'codebase_search',
+        title: 'Search',
+        emoji: '🔍',
+        category: 'search',
+        aliases: ['codebase_search', 'semantic_search'],
+        cursorIds: [9],
+        parameters: { query: ['query', 'pattern'], include: ['include_pattern', 'target_directories'] },
+        subject: 'query',
+        describe: describeSearch
+    },
+    {
+        name: 'file_search',
+        title: 'Find files',
+        emoji: '🔍',
+        category: 'search',
+        aliases: ['glob', 'file_search', 'glob_file_search'],
+        cursorIds: [8, 42],
+        parameters: { pattern: ['pattern', 'query', 'glob_pattern'] },
+        subject: 'pattern'
+    },
+    {
+        name: 'web_search',
+        title: 'Web search',
+        emoji: '🌐',
+        category: 'web',
+        aliases: ['web_search', 'websearch'],
+        cursorIds: [18],
+        parameters: { query: ['search_term', 'query'] },
+        subject: 'query'
+    },
+    {
+        name: 'web_fetch',
+        title: 'Web fetch',
+        emoji: '🌐',
+        category: 'web',
+        aliases: ['webfetch', 'web_fetch'],
+        parameters: { url: ['url'] },
+        describe: (parameters) => parameters.url ? `Fetch: ${parameters.url}` : 'Web fetch'
+    },
+    {
+        name: 'task',
+        title: 'Task',
+        emoji: '🤖',
+        category: 'task',
+        aliases: ['task'],
+        parameters: { description: ['description'] },
+        describe: (parameters) => parameters.description ? `Task: ${parameters.description}` : 'Execute task'
+    }
+];
+
+const TOOLS_BY_ALIAS = new Map();
+const TOOLS_BY_CURSOR_ID = new Map();
+for (const tool of TOOLS) {
+    tool.aliases.forEach(alias => TOOLS_BY_ALIAS.set(alias, tool));
+    (tool.cursorIds || []).forEach(id => TOOLS_BY_CURSOR_ID.set(id, tool));
+}
+
+/**
+ * Describe a search call, with the files it was limited to
+ * @param {Object} parameters - Parameters by role
+ * @returns {string} Description
+ */
+function describeSearch(parameters) {
+    if (!parameters.query) return 'Search';
+
+    let description = `Search: \`${parameters.query}\``;
+    if (parameters.include) {
+        description += ` in \`${parameters.include}\``;
+    }
+    return description;
+}
+
+/**
+ * Find a tool by any of its names
+ * @param {string} toolName - Tool name as recorded
+ * @returns {Object|null} Registry entry
+ */
+function findTool(toolName) {
+    return typeof toolName === 'string' ? TOOLS_BY_ALIAS.get(toolName.toLowerCase()) || null : null;
+}
+
+/**
+ * Find a tool by Cursor's numeric tool ID
+ * @param {number} toolId - `toolFormerData.tool` value
+ * @returns {Object|null} Registry entry
+ */
+function findToolByCursorId(toolId) {
+    return TOOLS_BY_CURSOR_ID.get(toolId) || null;
+}
+
+/**
+ * Get the value of one parameter role of a tool call
+ * @param {Object|null} tool - Registry entry
+ * @param {Object} parameters - Tool call parameters
+ * @param {string} role - Parameter role, e.g. 'path'
+ * @returns {*} Value, or null when the call does not have it
+ */
+function getToolParameter(tool, parameters, role) {
+    if (!tool || !parameters || typeof parameters !== 'object' || !tool.parameters[role]) return null;
+
+    const key = tool.parameters[role].find(name => parameters[name] !== undefined && parameters[name] !== null && parameters[name] !== '');
+    return key ? parameters[key] : null;
+}
+
+/**
+ * Identify a tool whose name was not recorded from the parameters it was called with
+ * @param {Object} parameters - Parsed parameters
+ * @param {string|null} rawArgs - Raw argument text, used when it could not be parsed
+ * @returns {Object|null} Registry entry
+ */
+function inferTool(parameters, rawArgs = null) {
+    let candidates = parameters || {};
+
+    // Arguments that are not valid JSON still name their keys
+    if (Object.keys(candidates).every(key => key === 'rawArgs') && rawArgs) {
+        candidates = {};
+        for (const match of String(rawArgs).matchAll(/"(\w+)"\s*:/g)) {
+            candidates[match[1]] = true;
+        }
+    }
+
+    return TOOLS.find(tool => (tool.inferFrom || []).some(roles =>
+        roles.every(role => getToolParameter(tool, candidates, role) !== null))) || null;
+}
+
+/**
+ * Describe a tool call in one line: the tool's title and what it worked on
+ * @param {Object} tool - Registry entry
+ * @param {Object} parameters - Tool call parameters
+ * @returns {string} Description, e.g. "Read file: `app.ts`"
+ */
+function describeToolCall(tool, parameters) {
+    if (tool.describe) {
+        const roles = {};
+        Object.keys(tool.parameters).forEach(role => { roles[role] = getToolParameter(tool, parameters, role); });
+        return tool.describe(roles);
+    }
+
+    const subject = tool.subject ? getToolParameter(tool, parameters, tool.subject) : null;
+    if (!subject) return tool.title;
+
+    const shown = tool.subjectBasename ? String(subject).split('/').pop() || String(subject) : subject;
+    return `${tool.title}: \`${shown}\``;
+}
+
+module.exports = {
+    TOOLS,
+    findTool,
+    findToolByCursorId,
+    getToolParameter,
+    inferTool,
+    describeToolCall
+};
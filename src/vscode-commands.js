@@ -13,33 +13,102 @@ const {
 const { getRecentClineConversations, extractClineTask, getExtensionFriendlyName } = require('./cline/extractor.js');
 const { parseClineConversation } = require('./cline/conversation-parser.js');
 const { conversationToMarkdown } = require('./cline/markdown-generator.js');
+const { exportAllConversations, loadCursorConversation } = require('./exporter.js');
+const { parseFilterExpression, matchesFilters } = require('./filters.js');
+const { describeError, DbNotFoundError } = require('./errors.js');
+const { getInstallation, DEFAULT_PROFILE } = require('./installations.js');
+
+/**
+ * Read the data location overrides (traceExtractor.dbPath / traceExtractor.clineDir / traceExtractor.ide /
+ * traceExtractor.userDataDirs) from the settings
+ * @returns {{dbPath: string|null, clineDir: string|null, ide: string|null, userDataDirs: Array<string>|null}}
+ *          Configured locations, null when unset
+ */
+function getConfiguredLocations() {
+    const config = vscode.workspace.getConfiguration('traceExtractor');
+    return {
+        dbPath: config.get('dbPath') || null,
+        clineDir: config.get('clineDir') || null,
+        ide: config.get('ide') || null,
+        userDataDirs: (config.get('userDataDirs') || []).length > 0 ? config.get('userDataDirs') : null
+    };
+}
+
+/**
+ * Report an error in the output channel (with probed paths and hints) and as a notification
+ * Typed database errors get a "Show Log" action and, where a different path would help, "Open Settings".
+ * @param {Error} error - Error to report
+ * @param {string} prefix - What failed, e.g. "Could not load Cursor conversations"
+ * @param {Object|null} outputChannel - Optional output channel for logging
+ * @param {string} severity - 'error' or 'warning'
+ */
+async function showExtractionError(error, prefix, outputChannel = null, severity = 'error') {
+    const [message, ...details] = describeError(error);
+    if (outputChannel) {
+        outputChannel.appendLine(`${severity === 'error' ? 'ERROR' : 'WARNING'}: ${prefix}: ${message}`);
+        details.forEach(line => outputChannel.appendLine(`  ${line}`));
+    } else {
+        console.warn(`${prefix}: ${message}`);
+    }
+    
+    const actions = [];
+    if (outputChannel && details.length > 0) actions.push('Show Log');
+    if (error.hint && error.hint.includes('traceExtractor.dbPath')) actions.push('Open Settings');
+    
+    const text = `${prefix}: ${message}${error.hint ? `. ${error.hint}` : ''}`;
+    const show = severity === 'error' ? vscode.window.showErrorMessage : vscode.window.showWarningMessage;
+    const action = await show(text, ...actions);
+    
+    if (action === 'Show Log') {
+        outputChannel.show();
+    } else if (action === 'Open Settings') {
+        await vscode.commands.executeCommand('workbench.action.openSettings', 'traceExtractor.dbPath');
+    }
+}
+
+/**
+ * Get the full conversation behind a Cursor summary, loading it from the database if the
+ * listing only read its metadata
+ * @param {Object} summary - Cursor conversation summary
+ * @param {Object|null} extensionContext - Optional VS Code extension context
+ * @returns {Promise<Object>} Reconstructed conversation
+ */
+async function loadCursorSummaryConversation(summary, extensionContext = null) {
+    return summary.conversation ||
+        await loadCursorConversation(summary.id, summary.dbPath || getConfiguredLocations().dbPath, extensionContext);
+}
 
 /**
  * Load conversations from multiple sources
+ * @param {number} limit - Maximum number of conversations per source (Infinity for all)
  */
-async function loadAllConversations(extensionContext = null, outputChannel = null) {
+async function loadAllConversations(extensionContext = null, outputChannel = null, limit = 10) {
+    const { dbPath, clineDir, ide, userDataDirs } = getConfiguredLocations();
     let allConversations = [];
     let cursorCount = 0;
     let clineCount = 0;
     
     // Try to load Cursor conversations
     try {
-        const cursorConvs = await getRecentConversations(10, extensionContext);
+        const cursorConvs = await getRecentConversations(limit, extensionContext, outputChannel, dbPath, ide, userDataDirs);
         cursorCount = cursorConvs.length;
         allConversations = allConversations.concat(cursorConvs.map(conv => ({...conv, source: 'cursor', extensionTag: 'cursor'})));
         const message = `Loaded ${cursorCount} Cursor conversations`;
         if (outputChannel) outputChannel.appendLine(message);
         else console.log(message);
     } catch (error) {
-        const message = `Could not load Cursor conversations: ${error.message}`;
-        if (outputChannel) outputChannel.appendLine(`WARNING: ${message}`);
-        else console.warn(message);
-        vscode.window.showWarningMessage(`Could not load Cursor conversations: ${error.message}`);
+        if (error instanceof DbNotFoundError && !dbPath) {
+            // Plain VS Code with only Cline installed: not worth a notification
+            describeError(error).forEach(line => outputChannel ? outputChannel.appendLine(line) : console.log(line));
+        } else {
+            // Not awaited: the notification must not hold up the conversation list
+            showExtractionError(error, 'Could not load Cursor conversations', outputChannel, 'warning');
+        }
     }
     
     // Try to load Cline conversations
     try {
-        const clineConvs = getRecentClineConversations(10, extensionContext, outputChannel);
+        const clineConvs = getRecentClineConversations(limit, extensionContext, outputChannel, clineDir, ide, userDataDirs);
         clineCount = clineConvs.length;
         allConversations = allConversations.concat(clineConvs.map(conv => ({...conv, source: 'cline'})));
         const message = `Loaded ${clineCount} Cline conversations`;
@@ -91,9 +160,10 @@ function formatConversationForVSCodeUnified(conv, index) {
     }
     
     // For Cline conversations, use friendly name from actual extension ID if available
+    const installation = conv.ide ? getInstallation(conv.ide) : null;
     let displayExtensionName;
     if (conv.source === 'cursor') {
-        displayExtensionName = 'Cursor';
+        displayExtensionName = installation ? installation.name : 'Cursor';
     } else {
         // For Cline, use the extension ID if available, otherwise determine from baseDir
         if (conv.extensionId && conv.extensionId !== 'unknown') {
@@ -109,6 +179,9 @@ function formatConversationForVSCodeUnified(conv, index) {
         } else {
             displayExtensionName = 'Cline';
         }
+        if (installation) {
+            displayExtensionName += ` (${installation.name})`;
+        }
     }
     
     // Add model information for Cline conversations
@@ -135,12 +208,67 @@ function formatConversationForVSCodeUnified(conv, index) {
     return {
         label: `${index + 1}. ${conv.title}`,
         description: description,
-        detail: `${new Date(timestamp).toLocaleString()} • ${displayExtensionName}${modelInfo ? ` • Model: ${conv.model}` : ''}`,
-        conversation: conv.source === 'cursor' ? conv.conversation : conv,
+        detail: `${new Date(timestamp).toLocaleString()} • ${displayExtensionName}${modelInfo ? ` • Model: ${conv.model}` : ''}${conv.workspace ? ` • Workspace: ${path.basename(conv.workspace)}` : ''}${conv.profile && conv.profile !== DEFAULT_PROFILE ? ` • Profile: ${conv.profile}` : ''}`,
+        conversation: conv,
+        summary: conv,
+        // Filtering is done by pickConversation, so VS Code must not hide items on its own
+        alwaysShow: true,
         index
     };
 }
 
+/**
+ * Get the initial QuickPick filter: the open folder, when traceExtractor.filterByWorkspace is enabled
+ * and at least one conversation belongs to it. The user can clear it to see every conversation.
+ * @param {Array<Object>} items - Items from formatConversationForVSCodeUnified
+ * @returns {string} Filter expression, empty for no default filter
+ */
+function getDefaultFilterExpression(items) {
+    const config = vscode.workspace.getConfiguration('traceExtractor');
+    const folder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    if (!folder || config.get('filterByWorkspace') === false) {
+        return '';
+    }
+    
+    const expression = `workspace:"${folder}" `;
+    const filters = parseFilterExpression(expression);
+    return items.some(item => matchesFilters(item.summary, filters)) ? expression : '';
+}
+
+/**
+ * Show a QuickPick whose input is a filter expression (e.g. `since:7d model:sonnet login`)
+ * @param {Array<Object>} items - Items from formatConversationForVSCodeUnified
+ * @param {string} placeHolder - Placeholder text
+ * @returns {Promise<Object|undefined>} Selected item, or undefined if cancelled
+ */
+function pickConversation(items, placeHolder) {
+    return new Promise((resolve) => {
+        const quickPick = vscode.window.createQuickPick();
+        const applyFilter = (value) => {
+            const filters = parseFilterExpression(value);
+            quickPick.items = items.filter(item => matchesFilters(item.summary, filters));
+        };
+        
+        quickPick.placeholder = `${placeHolder} — filter with keywords, since:7d, until:2024-06-30, model:<name>, workspace:<path>`;
+        quickPick.matchOnDescription = true;
+        quickPick.matchOnDetail = true;
+        quickPick.value = getDefaultFilterExpression(items);
+        applyFilter(quickPick.value);
+        
+        let selected;
+        quickPick.onDidChangeValue(applyFilter);
+        quickPick.onDidAccept(() => {
+            selected = quickPick.selectedItems[0];
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            quickPick.dispose();
+            resolve(selected);
+        });
+        quickPick.show();
+    });
+}
+
 /**
  * Show conversation selection UI in VSCode (unified for both Cursor and Cline)
  */
@@ -162,7 +290,7 @@ async function showConversationSelector(extensionContext = null, outputChannel =
             // Get conversations from all sources
             let conversations;
             try {
-                conversations = await loadAllConversations(extensionContext, outputChannel);
+                conversations = await loadAllConversations(extensionContext, outputChannel, Infinity);
             } catch (error) {
                 vscode.window.showErrorMessage(`Failed to load conversations: ${error.message}`);
                 return null;
@@ -190,11 +318,7 @@ async function showConversationSelector(extensionContext = null, outputChannel =
         const { items } = result;
         
         // Show QuickPick
-        const selected = await vscode.window.showQuickPick(items, {
-            placeHolder: 'Select a conversation to export to markdown',
-            matchOnDescription: true,
-            matchOnDetail: true
-        });
+        const selected = await pickConversation(items, 'Select a conversation to export to markdown');
         
         if (!selected) {
             return; // User cancelled
@@ -219,7 +343,7 @@ async function showConversationSelector(extensionContext = null, outputChannel =
                     markdown = conversationToMarkdown(parsedConversation);
                 } else {
                     // Handle Cursor conversations
-                    markdown = generateMarkdownConversation(selected.conversation);
+                    markdown = generateMarkdownConversation(await loadCursorSummaryConversation(selected.conversation, extensionContext));
                 }
                 
                 progress.report({ increment: 50, message: "Opening in new file..." });
@@ -247,7 +371,7 @@ async function showConversationSelector(extensionContext = null, outputChannel =
                 }
                 
             } catch (error) {
-                vscode.window.showErrorMessage(`Failed to export conversation: ${error.message}`);
+                showExtractionError(error, 'Failed to export conversation', outputChannel);
             }
         });
         
@@ -277,7 +401,7 @@ async function showConversationSelectorJSON(extensionContext = null, outputChann
             // Get conversations from all sources
             let conversations;
             try {
-                conversations = await loadAllConversations(extensionContext, outputChannel);
+                conversations = await loadAllConversations(extensionContext, outputChannel, Infinity);
             } catch (error) {
                 vscode.window.showErrorMessage(`Failed to load conversations: ${error.message}`);
                 return null;
@@ -305,11 +429,7 @@ async function showConversationSelectorJSON(extensionContext = null, outputChann
         const { items } = result;
         
         // Show QuickPick
-        const selected = await vscode.window.showQuickPick(items, {
-            placeHolder: 'Select a conversation to export to JSON',
-            matchOnDescription: true,
-            matchOnDetail: true
-        });
+        const selected = await pickConversation(items, 'Select a conversation to export to JSON');
         
         if (!selected) {
             return; // User cancelled
@@ -334,7 +454,7 @@ async function showConversationSelectorJSON(extensionContext = null, outputChann
                     jsonContent = JSON.stringify(parsedConversation, null, 2);
                 } else {
                     // Handle Cursor conversations
-                    jsonContent = JSON.stringify(selected.conversation, null, 2);
+                    jsonContent = JSON.stringify(await loadCursorSummaryConversation(selected.conversation, extensionContext), null, 2);
                 }
                 
                 progress.report({ increment: 50, message: "Opening in new file..." });
@@ -362,7 +482,7 @@ async function showConversationSelectorJSON(extensionContext = null, outputChann
                 }
                 
             } catch (error) {
-                vscode.window.showErrorMessage(`Failed to export conversation: ${error.message}`);
+                showExtractionError(error, 'Failed to export conversation', outputChannel);
             }
         });
         
@@ -371,7 +491,74 @@ async function showConversationSelectorJSON(extensionContext = null, outputChann
     }
 }
 
+/**
+ * Export every Cursor and Cline conversation into a folder, with an index.md/index.json
+ */
+async function showExportAll(extensionContext = null, outputChannel = null) {
+    try {
+        const formatPick = await vscode.window.showQuickPick([
+            { label: 'Markdown', description: '.md', format: 'markdown' },
+            { label: 'JSON', description: '.json', format: 'json' }
+        ], {
+            placeHolder: 'Select the format for all exported conversations'
+        });
+        
+        if (!formatPick) {
+            return; // User cancelled
+        }
+        
+        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+        const folders = await vscode.window.showOpenDialog({
+            canSelectFiles: false,
+            canSelectFolders: true,
+            canSelectMany: false,
+            defaultUri: workspaceFolder ? workspaceFolder.uri : undefined,
+            openLabel: 'Export Here'
+        });
+        
+        if (!folders || folders.length === 0) {
+            return; // User cancelled
+        }
+        
+        const outDir = folders[0].fsPath;
+        
+        const result = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: "Exporting all conversations...",
+            cancellable: false
+        }, async (progress) => {
+            let exportedCount = 0;
+            return exportAllConversations({
+                source: 'both',
+                format: formatPick.format,
+                outDir,
+                ...getConfiguredLocations(),
+                extensionContext,
+                outputChannel,
+                onProgress: (entry) => {
+                    exportedCount++;
+                    progress.report({ message: `${exportedCount}: ${entry.title}` });
+                }
+            });
+        });
+        
+        const message = `Exported ${result.entries.length} conversations to ${outDir}` +
+            (result.failures.length > 0 ? ` (${result.failures.length} failed, see output)` : '');
+        if (outputChannel) outputChannel.appendLine(message);
+        
+        const action = await vscode.window.showInformationMessage(message, 'Open Index');
+        if (action === 'Open Index') {
+            const doc = await vscode.workspace.openTextDocument(result.indexFiles[0]);
+            await vscode.window.showTextDocument(doc);
+        }
+        
+    } catch (error) {
+        showExtractionError(error, 'Failed to export conversations', outputChannel);
+    }
+}
+
 module.exports = {
     showConversationSelector,
-    showConversationSelectorJSON
+    showConversationSelectorJSON,
+    showExportAll
 };
\ No newline at end of file
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveCursorDatabases } = require('./extractor');
+const { openCursorStores } = require('./cursor-store');
+const { describeError } = require('./errors');
+const { writeAssets } = require('./assets');
+const { reconstructConversation } = require('./conversation-parser');
+const { findClineDirectories, getAllClineTasks } = require('./cline/extractor');
+const {
+    loadClineConversation,
+    hashCursorSource,
+    hashClineSource,
+    renderConversation
+} = require('./exporter');
+
+/**
+ * Watch mode: re-export Cursor composers and Cline tasks whenever their source data changes
+ */
+
+/**
+ * Start an fs.watch watcher that is closed when it fails
+ * A watcher emits 'error' when its directory is deleted or becomes unreadable; unhandled, that
+ * would end the whole watch process.
+ * @param {string} target - File or directory to watch
+ * @param {Object} options - fs.watch options
+ * @param {Function} listener - fs.watch listener (event, filename)
+ * @param {Function} onError - Called with the target and the error once the watcher was closed
+ * @returns {fs.FSWatcher} Watcher
+ */
+function watchPath(target, options, listener, onError) {
+    const watcher = fs.watch(target, options, listener);
+    watcher.on('error', (error) => {
+        watcher.close();
+        onError(target, error);
+    });
+    return watcher;
+}
+
+/**
+ * Watch a directory tree, falling back to per-subdirectory watchers where recursive watching is unsupported
+ * @param {string} dir - Directory to watch
+ * @param {Function} onChange - Called with the changed path (relative to dir, may be null)
+ * @param {Function} onError - Called with the watched path and the error when a watcher fails and is dropped
+ * @returns {{close: Function}} Handle that closes every underlying watcher
+ */
+function watchDirectory(dir, onChange, onError) {
+    try {
+        const watcher = watchPath(dir, { recursive: true }, (event, filename) => onChange(filename), onError);
+        return { close: () => watcher.close() };
+    } catch (error) {
+        // Linux on older Node versions: watch the directory and each of its subdirectories,
+        // including subdirectories created later (new Cline tasks)
+        const subdirectoryWatchers = new Map();
+        const watchSubdirectory = (name) => {
+            const subdirectory = path.join(dir, name);
+            if (subdirectoryWatchers.has(name) || !fs.existsSync(subdirectory) ||
+                !fs.statSync(subdirectory).isDirectory()) {
+                return;
+            }
+            subdirectoryWatchers.set(name, watchPath(subdirectory, {}, (event, filename) =>
+                onChange(filename ? path.join(name, filename) : name), (target, watchError) => {
+                subdirectoryWatchers.delete(name);
+                onError(target, watchError);
+            }));
+        };
+
+        const rootWatcher = watchPath(dir, {}, (event, filename) => {
+            if (filename) watchSubdirectory(filename);
+            onChange(filename);
+        }, onError);
+        fs.readdirSync(dir).forEach(watchSubdirectory);
+
+        return {
+            close: () => {
+                rootWatcher.close();
+                subdirectoryWatchers.forEach(watcher => watcher.close());
+            }
+        };
+    }
+}
+
+/**
+ * Start watching Cursor's state.vscdb files and the Cline tasks directories
+ * Conversations are re-exported only when their own source rows or files changed.
+ * On start, conversations whose export file is missing are exported once.
+ * @param {Object} options - Watch options
+ * @param {string} options.outDir - Output directory
+ * @param {string} options.format - 'markdown' or 'json'
+ * @param {string} options.source - 'cursor', 'cline' or 'both'
+ * @param {string|null} options.dbPath - Optional explicit path to state.vscdb
+ * @param {string|null} options.clineDir - Optional explicit Cline directory
+ * @param {string|null} options.ide - Optional installation ID or 'all' to watch every installation
+ * @param {Array<string>|null} options.userDataDirs - Optional explicit user-data directories
+ * @param {number} options.debounceMs - Quiet period before a rescan
+ * @param {Object|null} options.outputChannel - Optional output channel for logging
+ * @param {Function|null} options.onExport - Optional callback invoked with each written file
+ * @returns {Promise<{close: Function}>} Handle that stops all watchers
+ */
+async function startWatch({
+    outDir,
+    format = 'markdown',
+    source = 'both',
+    dbPath = null,
+    clineDir = null,
+    ide = null,
+    userDataDirs = null,
+    debounceMs = 2000,
+    outputChannel = null,
+    onExport = null
+}) {
+    const log = (message) => outputChannel ? outputChannel.appendLine(message) : console.log(message);
+    const cursorHashes = new Map();
+    const cursorUpdatedAt = new Map();
+    const clineHashes = new Map();
+    const watchers = [];
+    const timers = {};
+    const scanning = {};
+    const rescanRequested = {};
+
+    await fs.promises.mkdir(outDir, { recursive: true });
+
+    const writeExport = async (entrySource, id, conversation, isInitialScan) => {
+        const { content, filename, assets, assetDir } = renderConversation(entrySource, conversation, format);
+        const filepath = path.join(outDir, filename);
+
+        if (isInitialScan && fs.existsSync(filepath)) return;
+
+        await fs.promises.writeFile(filepath, content);
+        await writeAssets(outDir, assets, assetDir);
+        log(`Exported ${entrySource} conversation ${id} -> ${filepath}`);
+        if (onExport) onExport(filepath);
+    };
+
+    const logRetry = (error) => describeError(error).forEach((line, index) =>
+        log(index === 0 ? `WARNING: ${line} - will retry on the next change` : `  ${line}`));
+
+    // A conversation that fails is logged on its own, and its hash is only recorded once it was
+    // exported, so the next change retries it and the rest of the scan still runs
+    const logEntryRetry = (entrySource, id, error) =>
+        log(`WARNING: Could not export ${entrySource} conversation ${id}: ${error.message} - will retry on the next change`);
+
+    const exportCursorEntry = async (composerId, composerData, loadExtractedData, isInitialScan) => {
+        try {
+            const extractedData = await loadExtractedData();
+            const hash = hashCursorSource(composerId, extractedData);
+            if (cursorHashes.get(composerId) !== hash) {
+                const conversation = reconstructConversation(
+                    composerId,
+                    extractedData.bubbles,
+                    extractedData.checkpoints,
+                    extractedData.codeDiffs,
+                    composerData
+                );
+                if (conversation.messages.length > 0) {
+                    await writeExport('cursor', composerId, conversation, isInitialScan);
+                }
+                cursorHashes.set(composerId, hash);
+            }
+            cursorUpdatedAt.set(composerId, composerData.lastUpdatedAt);
+        } catch (error) {
+            logEntryRetry('cursor', composerId, error);
+        }
+    };
+
+    const scanCursor = async (isInitialScan) => {
+        try {
+            for await (const { store } of openCursorStores({ dbPath, ide, userDataDirs, outputChannel })) {
+                // Every write to the database (any composer's) triggers a scan: skip reading and hashing
+                // the bubbles of composers whose lastUpdatedAt did not move since their last export
+                for (const [composerId, composerData] of Object.entries(await store.listComposers())) {
+                    if (composerData.lastUpdatedAt && cursorUpdatedAt.get(composerId) === composerData.lastUpdatedAt) {
+                        continue;
+                    }
+                    await exportCursorEntry(composerId, composerData,
+                        () => store.loadComposer(composerId, composerData), isInitialScan);
+                }
+                for (const { composerId, composerData, extractedData } of await store.listLegacyConversations()) {
+                    await exportCursorEntry(composerId, composerData, () => extractedData, isInitialScan);
+                }
+            }
+        } catch (error) {
+            logRetry(error);
+        }
+    };
+
+    const scanCline = async (isInitialScan) => {
+        for (const task of getAllClineTasks(null, outputChannel, clineDir, ide, userDataDirs)) {
+            try {
+                const hash = await hashClineSource(task.taskPath);
+                if (clineHashes.get(task.taskId) === hash) continue;
+
+                const conversation = loadClineConversation(task.taskId, task.baseDir, null, outputChannel);
+                await writeExport('cline', task.taskId, conversation, isInitialScan);
+                clineHashes.set(task.taskId, hash);
+            } catch (error) {
+                logEntryRetry('cline', task.taskId, error);
+            }
+        }
+    };
+
+    const scanners = { cursor: scanCursor, cline: scanCline };
+
+    // Run a scan, serialising scans of the same source and coalescing changes that arrive meanwhile
+    const runScan = async (scanSource, isInitialScan = false) => {
+        if (scanning[scanSource]) {
+            rescanRequested[scanSource] = true;
+            return;
+        }
+
+        scanning[scanSource] = true;
+        try {
+            await scanners[scanSource](isInitialScan);
+        } catch (error) {
+            log(`WARNING: ${scanSource} rescan failed: ${error.message}`);
+        } finally {
+            scanning[scanSource] = false;
+        }
+
+        if (rescanRequested[scanSource]) {
+            rescanRequested[scanSource] = false;
+            await runScan(scanSource);
+        }
+    };
+
+    const logWatchError = (target, error) =>
+        log(`WARNING: Stopped watching ${target}: ${error.message}`);
+
+    const scheduleScan = (scanSource) => {
+        clearTimeout(timers[scanSource]);
+        timers[scanSource] = setTimeout(() => runScan(scanSource), debounceMs);
+    };
+
+    if (source === 'cursor' || source === 'both') {
+        await runScan('cursor', true);
+
+        let databases = [];
+        try {
+            databases = resolveCursorDatabases(dbPath, null, ide, userDataDirs);
+        } catch (error) {
+            // No database to watch; the initial scan already reported why
+        }
+
+        // Watch the directory rather than the file: SQLite writes go to the -wal file while
+        // Cursor holds the database open, and checkpoints may replace the main file
+        for (const database of databases) {
+            const dbName = path.basename(database.dbPath);
+            watchers.push(watchPath(path.dirname(database.dbPath), {}, (event, filename) => {
+                if (filename === dbName || filename === `${dbName}-wal`) {
+                    scheduleScan('cursor');
+                }
+            }, logWatchError));
+            log(`Watching ${database.dbPath}`);
+        }
+    }
+
+    if (source === 'cline' || source === 'both') {
+        await runScan('cline', true);
+
+        for (const baseDir of findClineDirectories(ide, null, outputChannel, clineDir, userDataDirs)) {
+            const tasksDir = path.join(baseDir, 'tasks');
+            watchers.push(watchDirectory(tasksDir, (filename) => {
+                if (!filename || filename.endsWith('.json') || !filename.includes(path.sep)) {
+                    scheduleScan('cline');
+                }
+            }, logWatchError));
+            log(`Watching ${tasksDir}`);
+        }
+    }
+
+    return {
+        close: () => {
+            Object.values(timers).forEach(timer => clearTimeout(timer));
+            watchers.forEach(watcher => watcher.close());
+        }
+    };
+}
+
+module.exports = {
+    startWatch
+};
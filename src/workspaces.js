@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const sqlite3 = require('sqlite3');
+const { getUserDataDirForPath } = require('./installations');
+
+/**
+ * Map Cursor composers to the workspace folders they were created in
+ * Cursor keeps one `workspaceStorage/<hash>/` directory per opened folder, holding a
+ * `workspace.json` (the folder URI) and a `state.vscdb` whose ItemTable lists the composers
+ */
+
+/**
+ * Get the workspaceStorage directory that belongs to a globalStorage/state.vscdb
+ * @param {string} globalDbPath - Path to User/globalStorage/state.vscdb or a profile's copy of it
+ * @returns {string} Path to User/workspaceStorage
+ */
+function getWorkspaceStorageDir(globalDbPath) {
+    // Profiles (User/profiles/<id>/globalStorage) share the user-data directory's workspaceStorage
+    const userDataDir = getUserDataDirForPath(globalDbPath);
+    return userDataDir
+        ? path.join(userDataDir, 'User', 'workspaceStorage')
+        : path.join(path.dirname(path.dirname(globalDbPath)), 'workspaceStorage');
+}
+
+/**
+ * Read the folder a workspace storage directory belongs to
+ * @param {string} workspaceDir - workspaceStorage/<hash> directory
+ * @returns {string|null} Local folder path, the raw URI for remote folders, or null
+ */
+function readWorkspaceFolder(workspaceDir) {
+    try {
+        const workspace = JSON.parse(fs.readFileSync(path.join(workspaceDir, 'workspace.json'), 'utf8'));
+        const uri = workspace.folder || workspace.workspace;
+        if (!uri) return null;
+
+        return uri.startsWith('file://') ? fileURLToPath(uri) : uri;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read the composer IDs listed in a workspace state.vscdb
+ * @param {string} workspaceDbPath - workspaceStorage/<hash>/state.vscdb
+ * @returns {Promise<Array<string>>} Composer IDs (empty if the database has none or cannot be read)
+ */
+function readWorkspaceComposerIds(workspaceDbPath) {
+    return new Promise((resolve) => {
+        const db = new sqlite3.Database(workspaceDbPath, sqlite3.OPEN_READONLY, (err) => {
+            if (err) {
+                resolve([]);
+                return;
+            }
+
+            db.get(`SELECT value FROM ItemTable WHERE key = 'composer.composerData'`, [], (err, row) => {
+                db.close();
+                if (err || !row || !row.value) {
+                    resolve([]);
+                    return;
+                }
+
+                try {
+                    const composerData = JSON.parse(row.value);
+                    resolve((composerData.allComposers || [])
+                        .map(composer => composer.composerId)
+                        .filter(Boolean));
+                } catch (error) {
+                    resolve([]);
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Build a map from composer ID to workspace folder
+ * @param {string} globalDbPath - Path to User/globalStorage/state.vscdb
+ * @param {Object|null} outputChannel - Optional output channel for logging
+ * @returns {Promise<Map<string, string>>} composerId -> folder
+ */
+async function getComposerWorkspaceMap(globalDbPath, outputChannel = null) {
+    const workspaceMap = new Map();
+    const storageDir = getWorkspaceStorageDir(globalDbPath);
+
+    let entries;
+    try {
+        entries = fs.readdirSync(storageDir, { withFileTypes: true });
+    } catch (error) {
+        return workspaceMap; // No workspaceStorage next to this database (e.g. a copied-off backup)
+    }
+
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+
+        const workspaceDir = path.join(storageDir, entry.name);
+        const workspaceDbPath = path.join(workspaceDir, 'state.vscdb');
+        const folder = readWorkspaceFolder(workspaceDir);
+        if (!folder || !fs.existsSync(workspaceDbPath)) continue;
+
+        for (const composerId of await readWorkspaceComposerIds(workspaceDbPath)) {
+            workspaceMap.set(composerId, folder);
+        }
+    }
+
+    const message = `Mapped ${workspaceMap.size} composers to workspace folders`;
+    if (outputChannel) outputChannel.appendLine(message);
+    else console.log(message);
+
+    return workspaceMap;
+}
+
+/**
+ * Check whether a conversation's workspace folder is a given folder or inside it
+ * @param {string|null} workspace - Conversation workspace folder
+ * @param {string} folder - Folder to match against
+ * @returns {boolean} True if the workspace is the folder or inside it
+ */
+function workspaceMatches(workspace, folder) {
+    if (!workspace || !folder) return false;
+
+    const normalize = (value) => path.resolve(value).replace(/[\\/]+$/, '');
+    const a = normalize(workspace);
+    const b = normalize(folder);
+    const caseInsensitive = process.platform === 'win32' || process.platform === 'darwin';
+    const [left, right] = caseInsensitive ? [a.toLowerCase(), b.toLowerCase()] : [a, b];
+
+    return left === right || left.startsWith(right + path.sep);
+}
+
+module.exports = {
+    getWorkspaceStorageDir,
+    readWorkspaceFolder,
+    getComposerWorkspaceMap,
+    workspaceMatches
+};
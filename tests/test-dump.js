@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Test redaction of conversation dumps and loading a dump back as a Cursor database
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { redactValue, createDump, isDumpFile, openDumpDatabase } = require('../src/dump');
+const { allRows } = require('../src/extractor');
+
+const COMPOSER_ID = 'c0ffee00-0000-0000-0000-000000000001';
+
+const ROWS = [
+    {
+        table: 'cursorDiskKV',
+        key: `composerData:${COMPOSER_ID}`,
+        value: JSON.stringify({
+            _v: 3,
+            composerId: COMPOSER_ID,
+            name: 'Fix the login bug',
+            fullConversationHeadersOnly: [{ bubbleId: 'b1', type: 1 }, { bubbleId: 'b2', type: 2 }]
+        })
+    },
+    {
+        table: 'cursorDiskKV',
+        key: `bubbleId:${COMPOSER_ID}:b1`,
+        value: JSON.stringify({ _v: 2, bubbleId: 'b1', type: 1, text: 'Why does login fail?' })
+    },
+    {
+        table: 'cursorDiskKV',
+        key: `bubbleId:${COMPOSER_ID}:b2`,
+        value: JSON.stringify({
+            _v: 2,
+            bubbleId: 'b2',
+            type: 2,
+            text: '',
+            toolFormerData: { name: 'read_file', status: 'completed', rawArgs: '{"target_file":"src/auth.js"}' }
+        })
+    },
+    { table: 'ItemTable', key: 'workbench.panel.aichat.view.aichat.chatdata', value: 'not json' }
+];
+
+async function runDumpTests() {
+    console.log('🔍 Testing conversation dumps\n');
+
+    let failures = 0;
+    const check = async (description, test) => {
+        try {
+            await test();
+            console.log(`✅ ${description}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${description}`);
+            console.log(`   ${error.message.split('\n').join('\n   ')}`);
+        }
+    };
+
+    await check('content strings are replaced with their length', () => {
+        assert.strictEqual(redactValue('secret', 'text'), '[redacted: 6 chars]');
+    });
+
+    await check('structural keys, numbers and empty strings are kept', () => {
+        assert.deepStrictEqual(
+            redactValue({ _v: 2, bubbleId: 'b1', type: 1, text: '', count: 4, text2: 'x' }),
+            { _v: 2, bubbleId: 'b1', type: 1, text: '', count: 4, text2: '[redacted: 1 chars]' }
+        );
+    });
+
+    await check('tool names are kept, their JSON arguments redacted field by field', () => {
+        const redacted = redactValue({ toolFormerData: { name: 'read_file', rawArgs: '{"target_file":"src/auth.js"}' } });
+        assert.strictEqual(redacted.toolFormerData.name, 'read_file');
+        assert.deepStrictEqual(JSON.parse(redacted.toolFormerData.rawArgs), { target_file: '[redacted: 11 chars]' });
+    });
+
+    await check('a plain dump keeps every row verbatim', () => {
+        const dump = createDump(COMPOSER_ID, ROWS, { dbPath: '/tmp/state.vscdb', ide: 'cursor', profile: 'Default' });
+        assert.strictEqual(dump.composerId, COMPOSER_ID);
+        assert.strictEqual(dump.redacted, false);
+        assert.deepStrictEqual(dump.rows, ROWS);
+    });
+
+    await check('a redacted dump keeps keys and structure but no content', () => {
+        const homeDbPath = path.join(os.homedir(), 'state.vscdb');
+        const dump = createDump(COMPOSER_ID, ROWS, { dbPath: homeDbPath, ide: 'cursor', profile: 'Default' }, true);
+        assert.strictEqual(dump.redacted, true);
+        assert.strictEqual(dump.source.dbPath, path.join('~', 'state.vscdb'));
+        assert.deepStrictEqual(dump.rows.map(row => row.key), ROWS.map(row => row.key));
+
+        const serialized = JSON.stringify(dump);
+        ['Fix the login bug', 'Why does login fail?', 'src/auth.js', 'not json'].forEach(content =>
+            assert.ok(!serialized.includes(content), `"${content}" was not redacted`));
+
+        const composerData = JSON.parse(dump.rows[0].value);
+        assert.strictEqual(composerData.composerId, COMPOSER_ID);
+        assert.deepStrictEqual(composerData.fullConversationHeadersOnly, [{ bubbleId: 'b1', type: 1 }, { bubbleId: 'b2', type: 2 }]);
+    });
+
+    for (const redact of [false, true]) {
+        await check(`a written ${redact ? 'redacted' : 'plain'} dump loads back into a database with its rows`, async () => {
+            const dumpPath = path.join(os.tmpdir(), `trace-extractor-test-dump-${process.pid}.json`);
+            try {
+                const dump = createDump(COMPOSER_ID, ROWS, { dbPath: '/tmp/state.vscdb', ide: 'cursor', profile: 'Default' }, redact);
+                fs.writeFileSync(dumpPath, JSON.stringify(dump, null, 2) + '\n');
+                assert.strictEqual(isDumpFile(dumpPath), true);
+
+                const connection = await openDumpDatabase(dumpPath);
+                try {
+                    for (const table of ['cursorDiskKV', 'ItemTable']) {
+                        const rows = await allRows(connection.db, `SELECT key, value FROM ${table} ORDER BY key`);
+                        const expected = dump.rows.filter(row => row.table === table)
+                            .map(({ key, value }) => ({ key, value }))
+                            .sort((a, b) => a.key.localeCompare(b.key));
+                        assert.deepStrictEqual(rows.map(({ key, value }) => ({ key, value: String(value) })), expected);
+                    }
+                } finally {
+                    await connection.close();
+                }
+            } finally {
+                fs.rmSync(dumpPath, { force: true });
+            }
+        });
+    }
+
+    console.log(failures === 0 ? '\n✅ All dump tests passed' : `\n❌ ${failures} dump tests failed`);
+    return failures;
+}
+
+// Run the test
+if (require.main === module) {
+    runDumpTests()
+        .then(failures => { process.exitCode = failures === 0 ? 0 : 1; })
+        .catch(error => {
+            console.error('❌ Fatal error:', error);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { runDumpTests };
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Test the filter expression parser and summary matching used by interactive mode, `list` and `export --all`
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { parseFilterExpression, matchesFilters } = require('../src/filters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function runFilterTests() {
+    console.log('🔍 Testing filter expressions and matching\n');
+
+    let failures = 0;
+    const check = (description, test) => {
+        try {
+            test();
+            console.log(`✅ ${description}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${description}`);
+            console.log(`   ${error.message.split('\n').join('\n   ')}`);
+        }
+    };
+
+    check('bare words become the keyword filter', () => {
+        assert.deepStrictEqual(parseFilterExpression('login bug'), { grep: 'login bug' });
+    });
+
+    check('key:value pairs are read case-insensitively', () => {
+        const filters = parseFilterExpression('MODEL:sonnet grep:auth');
+        assert.strictEqual(filters.model, 'sonnet');
+        assert.strictEqual(filters.grep, 'auth');
+    });
+
+    check('bare words are appended to an explicit grep:', () => {
+        assert.strictEqual(parseFilterExpression('grep:login bug').grep, 'login bug');
+    });
+
+    check('quoted values keep their spaces', () => {
+        const filters = parseFilterExpression('workspace:"/tmp/with spaces" model:"gpt 5"');
+        assert.strictEqual(filters.workspace, path.resolve('/tmp/with spaces'));
+        assert.strictEqual(filters.model, 'gpt 5');
+    });
+
+    check('relative ages are turned into dates', () => {
+        const { since } = parseFilterExpression('since:7d');
+        assert.ok(since instanceof Date);
+        assert.ok(Math.abs(Date.now() - 7 * DAY_MS - since.getTime()) < 5000);
+    });
+
+    check('a bare until: date covers the whole day', () => {
+        const { until } = parseFilterExpression('until:2025-03-01');
+        assert.strictEqual(until.getTime(), Date.parse('2025-03-01') + DAY_MS - 1);
+    });
+
+    check('incomplete dates are ignored while typing', () => {
+        assert.deepStrictEqual(parseFilterExpression('since:2025-1x fix'), { grep: 'fix' });
+    });
+
+    check('unknown keys are kept as keywords', () => {
+        assert.deepStrictEqual(parseFilterExpression('foo:bar'), { grep: 'foo:bar' });
+    });
+
+    check('an empty expression sets no filter', () => {
+        assert.deepStrictEqual(parseFilterExpression(''), {});
+        assert.deepStrictEqual(parseFilterExpression(null), {});
+    });
+
+    const summary = {
+        title: 'Fix login bug',
+        preview: 'The session cookie expires too early',
+        model: 'claude-3.5-sonnet',
+        workspace: path.resolve('/work/app/packages/api'),
+        lastMessageTime: Date.parse('2025-03-10T12:00:00Z')
+    };
+
+    check('no filters match everything', () => {
+        assert.strictEqual(matchesFilters(summary, {}), true);
+        assert.strictEqual(matchesFilters(summary, null), true);
+    });
+
+    check('keywords match the title and preview, case-insensitively', () => {
+        assert.strictEqual(matchesFilters(summary, { grep: 'LOGIN' }), true);
+        assert.strictEqual(matchesFilters(summary, { grep: 'cookie' }), true);
+        assert.strictEqual(matchesFilters(summary, { grep: 'signup' }), false);
+    });
+
+    check('model matches a substring of the model name', () => {
+        assert.strictEqual(matchesFilters(summary, { model: 'Sonnet' }), true);
+        assert.strictEqual(matchesFilters(summary, { model: 'gpt' }), false);
+    });
+
+    check('since/until bound the last activity', () => {
+        assert.strictEqual(matchesFilters(summary, { since: new Date('2025-03-01') }), true);
+        assert.strictEqual(matchesFilters(summary, { since: new Date('2025-03-11') }), false);
+        assert.strictEqual(matchesFilters(summary, { until: new Date('2025-03-09') }), false);
+    });
+
+    check('date filters reject summaries without a time', () => {
+        assert.strictEqual(matchesFilters({ title: 'x' }, { since: new Date('2025-03-01') }), false);
+    });
+
+    check('workspace matches the folder and folders inside it', () => {
+        assert.strictEqual(matchesFilters(summary, { workspace: path.resolve('/work/app') }), true);
+        assert.strictEqual(matchesFilters(summary, { workspace: path.resolve('/work/app/packages/api/src') }), false);
+    });
+
+    check('every active filter has to match', () => {
+        assert.strictEqual(matchesFilters(summary, parseFilterExpression('model:sonnet login')), true);
+        assert.strictEqual(matchesFilters(summary, parseFilterExpression('model:gpt login')), false);
+    });
+
+    console.log(failures === 0 ? '\n✅ All filter tests passed' : `\n❌ ${failures} filter tests failed`);
+    return failures;
+}
+
+// Run the test
+if (require.main === module) {
+    process.exitCode = runFilterTests() === 0 ? 0 : 1;
+}
+
+module.exports = { runFilterTests };
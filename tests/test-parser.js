@@ -5,8 +5,8 @@
  * This will help find specific code diffs or bubbles that fail to parse
  */
 
-const { extractCursorDiskKV, parseMessageContent } = require('../src/extractor');
-const { reconstructConversation } = require('../src/conversation-parser');
+const { extractCursorDiskKV } = require('../src/extractor');
+const { parseMessageContent, reconstructConversation } = require('../src/conversation-parser');
 
 class ParsingTestReport {
     constructor() {
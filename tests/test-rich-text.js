@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Test converting the richText (Lexical editor state) of Cursor user bubbles to Markdown
+ */
+
+const assert = require('assert');
+const { richTextToMarkdown } = require('../src/rich-text');
+
+// Build a serialized editor state from the root's children
+const editorState = (...children) => JSON.stringify({ root: { type: 'root', children } });
+const paragraph = (...children) => ({ type: 'paragraph', children });
+const text = (value, format = 0) => ({ type: 'text', text: value, format });
+
+function runRichTextTests() {
+    console.log('🔍 Testing richText conversion\n');
+
+    let failures = 0;
+    const check = (description, test) => {
+        try {
+            test();
+            console.log(`✅ ${description}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${description}`);
+            console.log(`   ${error.message.split('\n').join('\n   ')}`);
+        }
+    };
+
+    check('missing or unreadable richText gives an empty string', () => {
+        assert.strictEqual(richTextToMarkdown(null), '');
+        assert.strictEqual(richTextToMarkdown('{not json'), '');
+        assert.strictEqual(richTextToMarkdown('{}'), '');
+    });
+
+    check('paragraphs become lines and line breaks are kept', () => {
+        const state = editorState(paragraph(text('first'), { type: 'linebreak' }, text('second')), paragraph(text('third')));
+        assert.strictEqual(richTextToMarkdown(state), 'first\nsecond\nthird');
+    });
+
+    check('parsed editor states are accepted too', () => {
+        assert.strictEqual(richTextToMarkdown(JSON.parse(editorState(paragraph(text('hi'))))), 'hi');
+    });
+
+    check('text formats become Markdown emphasis and code', () => {
+        const state = editorState(paragraph(text('bold', 1), text(' '), text('italic', 2), text(' '),
+            text('gone', 4), text(' '), text('both', 3), text(' '), text('x = 1', 16)));
+        assert.strictEqual(richTextToMarkdown(state), '**bold** *italic* ~~gone~~ ***both*** `x = 1`');
+    });
+
+    check('headings, quotes and lists keep their Markdown markers', () => {
+        const state = editorState(
+            { type: 'heading', tag: 'h2', children: [text('Plan')] },
+            { type: 'quote', children: [text('quoted')] },
+            { type: 'list', listType: 'number', start: 1, children: [
+                { type: 'listitem', children: [text('one')] },
+                { type: 'listitem', children: [text('two')] }
+            ] },
+            { type: 'list', listType: 'bullet', children: [{ type: 'listitem', children: [text('dot')] }] }
+        );
+        assert.strictEqual(richTextToMarkdown(state), '## Plan\n> quoted\n1. one\n2. two\n- dot');
+    });
+
+    check('links keep their URL', () => {
+        const state = editorState(paragraph({ type: 'link', url: 'https://example.com/a%20b', children: [text('docs')] }));
+        assert.strictEqual(richTextToMarkdown(state), '[docs](https://example.com/a%20b)');
+    });
+
+    check('file mentions link to their path, escaping spaces and parentheses', () => {
+        const state = editorState(paragraph(text('see '), {
+            type: 'mention',
+            text: '@app (old).ts',
+            metadata: { uri: { fsPath: '/work/my app/app (old).ts' } }
+        }));
+        assert.strictEqual(richTextToMarkdown(state), 'see [@app (old).ts](/work/my%20app/app%20%28old%29.ts)');
+    });
+
+    check('URL mentions are linked without encoding them again', () => {
+        const state = editorState(paragraph({ type: 'mention', text: '@Docs', metadata: { url: 'https://example.com/a%20b?q=1' } }));
+        assert.strictEqual(richTextToMarkdown(state), '[@Docs](https://example.com/a%20b?q=1)');
+    });
+
+    check('mentions are resolved through the message context', () => {
+        const state = editorState(paragraph({ type: 'mention', mentionName: 'auth.js' }));
+        const context = [{ type: 'file', path: 'src/auth.js' }];
+        assert.strictEqual(richTextToMarkdown(state, context), '[@auth.js](src/auth.js)');
+        assert.strictEqual(richTextToMarkdown(state, []), '@auth.js');
+    });
+
+    check('code selections become citation fences', () => {
+        const state = editorState({
+            type: 'code-selection',
+            selection: {
+                text: 'const a = 1;\n',
+                uri: { fsPath: 'src/a.js' },
+                range: { selectionStartLineNumber: 3, positionLineNumber: 4 }
+            }
+        });
+        assert.strictEqual(richTextToMarkdown(state), '```3:4:src/a.js\nconst a = 1;\n```');
+    });
+
+    console.log(failures === 0 ? '\n✅ All richText tests passed' : `\n❌ ${failures} richText tests failed`);
+    return failures;
+}
+
+// Run the test
+if (require.main === module) {
+    process.exitCode = runRichTextTests() === 0 ? 0 : 1;
+}
+
+module.exports = { runRichTextTests };
@@ -4,8 +4,8 @@
  * Test specific request ID to debug missing code diff
  */
 
-const { extractCursorDiskKV, parseMessageContent } = require('../src/extractor');
-const { reconstructConversation } = require('../src/conversation-parser');
+const { extractCursorDiskKV } = require('../src/extractor');
+const { parseMessageContent, reconstructConversation } = require('../src/conversation-parser');
 const { generateMarkdownConversation } = require('../src/markdown-generator');
 
 async function testSpecificRequest() {
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Test pairing inline tool results with the tool calls they answer
+ */
+
+const assert = require('assert');
+const { pairToolResult } = require('../src/conversation-parser');
+
+function runToolResultTests() {
+    console.log('🔍 Testing tool result pairing\n');
+
+    let failures = 0;
+    const check = (description, test) => {
+        try {
+            test();
+            console.log(`✅ ${description}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${description}`);
+            console.log(`   ${error.message.split('\n').join('\n   ')}`);
+        }
+    };
+
+    check('a result answers the oldest pending call', () => {
+        const first = { tool_name: 'read_file' };
+        const second = { tool_name: 'grep_search' };
+        const pendingCalls = [first, second];
+        const toolResult = { output: 'file contents', is_error: false };
+
+        assert.strictEqual(pairToolResult(pendingCalls, toolResult), true);
+        assert.deepStrictEqual(pendingCalls, [second]);
+        assert.strictEqual(first.result, 'file contents');
+        assert.strictEqual(first.status, 'completed');
+        assert.strictEqual(second.result, undefined);
+    });
+
+    check('the result is flagged paired and takes the call\'s tool name', () => {
+        const toolResult = { output: 'ok' };
+        pairToolResult([{ tool_name: 'run_terminal_cmd' }], toolResult);
+        assert.strictEqual(toolResult.paired, true);
+        assert.strictEqual(toolResult.tool_name, 'run_terminal_cmd');
+    });
+
+    check('a tool name the result already has is kept', () => {
+        const toolResult = { output: 'ok', tool_name: 'Bash' };
+        pairToolResult([{ tool_name: 'run_terminal_cmd' }], toolResult);
+        assert.strictEqual(toolResult.tool_name, 'Bash');
+    });
+
+    check('an error result marks the call as failed', () => {
+        const toolCall = { tool_name: 'read_file' };
+        pairToolResult([toolCall], { output: 'ENOENT', is_error: true });
+        assert.strictEqual(toolCall.status, 'error');
+        assert.strictEqual(toolCall.result, 'ENOENT');
+    });
+
+    check('results in order answer calls in order', () => {
+        const calls = [{ tool_name: 'a' }, { tool_name: 'b' }, { tool_name: 'c' }];
+        const pendingCalls = [...calls];
+        ['1', '2', '3'].forEach(output => pairToolResult(pendingCalls, { output }));
+        assert.deepStrictEqual(calls.map(call => call.result), ['1', '2', '3']);
+        assert.strictEqual(pendingCalls.length, 0);
+    });
+
+    check('a result without a pending call stays unpaired', () => {
+        const toolResult = { output: 'orphan' };
+        assert.strictEqual(pairToolResult([], toolResult), false);
+        assert.strictEqual(toolResult.paired, undefined);
+        assert.strictEqual(toolResult.tool_name, undefined);
+    });
+
+    console.log(failures === 0 ? '\n✅ All tool result tests passed' : `\n❌ ${failures} tool result tests failed`);
+    return failures;
+}
+
+// Run the test
+if (require.main === module) {
+    process.exitCode = runToolResultTests() === 0 ? 0 : 1;
+}
+
+module.exports = { runToolResultTests };
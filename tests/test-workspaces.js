@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Test matching conversation workspaces against a --workspace folder
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { workspaceMatches } = require('../src/workspaces');
+
+function runWorkspaceTests() {
+    console.log('🔍 Testing workspace matching\n');
+
+    let failures = 0;
+    const check = (description, test) => {
+        try {
+            test();
+            console.log(`✅ ${description}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${description}`);
+            console.log(`   ${error.message.split('\n').join('\n   ')}`);
+        }
+    };
+
+    const project = path.resolve('/work/app');
+
+    check('the folder itself matches', () => {
+        assert.strictEqual(workspaceMatches(project, project), true);
+    });
+
+    check('trailing separators are ignored', () => {
+        assert.strictEqual(workspaceMatches(project + path.sep, project), true);
+        assert.strictEqual(workspaceMatches(project, project + path.sep), true);
+    });
+
+    check('folders inside it match', () => {
+        assert.strictEqual(workspaceMatches(path.join(project, 'packages', 'api'), project), true);
+    });
+
+    check('a folder containing it does not match', () => {
+        assert.strictEqual(workspaceMatches(path.dirname(project), project), false);
+        assert.strictEqual(workspaceMatches(path.parse(project).root, project), false);
+    });
+
+    check('a sibling sharing its name as a prefix does not match', () => {
+        assert.strictEqual(workspaceMatches(path.resolve('/work/app-old'), project), false);
+    });
+
+    check('relative folders are resolved against the current directory', () => {
+        assert.strictEqual(workspaceMatches(path.resolve('src'), '.'), true);
+    });
+
+    check('a missing workspace or folder never matches', () => {
+        assert.strictEqual(workspaceMatches(null, project), false);
+        assert.strictEqual(workspaceMatches(project, ''), false);
+    });
+
+    check('case is ignored only where the file system ignores it', () => {
+        const caseInsensitive = process.platform === 'win32' || process.platform === 'darwin';
+        assert.strictEqual(workspaceMatches(project.toUpperCase(), project), caseInsensitive);
+    });
+
+    console.log(failures === 0 ? '\n✅ All workspace tests passed' : `\n❌ ${failures} workspace tests failed`);
+    return failures;
+}
+
+// Run the test
+if (require.main === module) {
+    process.exitCode = runWorkspaceTests() === 0 ? 0 : 1;
+}
+
+module.exports = { runWorkspaceTests };